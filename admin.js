@@ -0,0 +1,309 @@
+/* admin.js — link dashboard for admin.html (served behind admin auth).
+   No inline handlers: everything is bound here so the page works under the server CSP.
+*/
+
+const FIELDS = ['label', 'badge', 'category', 'url'];
+const rowsEl = document.getElementById('rows');
+const statusEl = document.getElementById('status');
+const newForm = document.getElementById('newForm');
+
+let links = [];
+let dragKey = null;
+let thumbVersion = Date.now(); // bumped after a logo change so <img> refetches
+
+/* ------------ API ------------ */
+async function api(method, path, body){
+  // X-Requested-With marks the request as ours (the API refuses writes without it or JSON)
+  const opts = { method, headers: { 'X-Requested-With': 'fetch' }, credentials: 'same-origin' };
+  if(body !== undefined){
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  const res = await fetch('/api/links' + path, opts);
+  const data = await res.json().catch(()=> ({}));
+  if(!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+  return data;
+}
+
+/* raw image body for PUT /api/links/:key/logo */
+async function uploadLogo(key, file){
+  const res = await fetch('/api/links/' + encodeURIComponent(key) + '/logo', { method: 'PUT', body: file, headers: { 'X-Requested-With': 'fetch' }, credentials: 'same-origin' });
+  const data = await res.json().catch(()=> ({}));
+  if(!res.ok) throw new Error(data.error || ('HTTP ' + res.status));
+  thumbVersion = Date.now();
+  return data;
+}
+
+function setStatus(text, isError){
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', Boolean(isError));
+}
+
+async function refresh(){
+  try {
+    const data = await api('GET', '');
+    links = data.links;
+    render();
+    setStatus(links.length + ' keys');
+  } catch(e){ setStatus('โหลดไม่สำเร็จ: ' + e.message, true); }
+}
+
+/* ------------ URL preview ------------ */
+/* Shows what a target URL resolves to before it is saved: scheme, host, path and
+   query, with a warning when the host differs from the saved one. */
+function checkUrl(value){
+  let u;
+  try { u = new URL(value); } catch(e){ return { ok:false, msg:'URL ไม่ถูกต้อง' }; }
+  if(u.protocol !== 'http:' && u.protocol !== 'https:') return { ok:false, msg:'ใช้ได้เฉพาะ http/https' };
+  return { ok:true, url:u };
+}
+
+function renderPreview(el, value, savedValue){
+  el.textContent = '';
+  el.className = 'preview';
+  if(!value){ return true; }
+  const r = checkUrl(value);
+  if(!r.ok){ el.classList.add('bad'); el.textContent = '✖ ' + r.msg; return false; }
+  const u = r.url;
+  const host = document.createElement('span');
+  host.className = 'host';
+  host.textContent = u.host;
+  el.append(u.protocol === 'https:' ? '🔒 ' : '⚠ http • ', host, ' ' + u.pathname + u.search + u.hash);
+  let saved = null;
+  try { saved = savedValue ? new URL(savedValue) : null; } catch(e){ saved = null; }
+  if(saved && saved.host !== u.host){
+    el.classList.add('warn');
+    el.append(' (เดิม: ' + saved.host + ')');
+  } else if(u.protocol !== 'https:'){
+    el.classList.add('warn');
+  }
+  return true;
+}
+
+/* ------------ Table ------------ */
+function render(){
+  rowsEl.textContent = '';
+  links.forEach(link => rowsEl.appendChild(makeRow(link)));
+}
+
+function makeRow(link){
+  const tr = document.createElement('tr');
+  tr.dataset.key = link.key;
+  tr.draggable = true;
+  if(!link.enabled) tr.classList.add('disabled');
+
+  const handle = cell(tr, 'handle');
+  handle.textContent = '⋮⋮';
+  handle.title = 'ลากเพื่อเรียงลำดับ';
+  const keyCell = cell(tr, 'key');
+  if(link.enabled){
+    const thumb = document.createElement('img');
+    thumb.className = 'thumb';
+    thumb.alt = '';
+    thumb.src = '/img/' + encodeURIComponent(link.key) + '.svg?v=' + thumbVersion;
+    keyCell.appendChild(thumb);
+  }
+  keyCell.append(link.key);
+
+  const inputs = {};
+  ['label', 'badge'].forEach(f => {
+    const input = document.createElement('input');
+    input.value = link[f];
+    input.maxLength = 80;
+    cell(tr).appendChild(input);
+    inputs[f] = input;
+  });
+
+  const select = document.createElement('select');
+  ['game', 'social'].forEach(c => {
+    const o = document.createElement('option');
+    o.value = c; o.textContent = c;
+    select.appendChild(o);
+  });
+  select.value = link.category;
+  cell(tr).appendChild(select);
+  inputs.category = select;
+
+  const urlCell = cell(tr);
+  const urlInput = document.createElement('input');
+  urlInput.value = link.url;
+  const preview = document.createElement('div');
+  preview.className = 'preview';
+  urlCell.append(urlInput, preview);
+  inputs.url = urlInput;
+  renderPreview(preview, link.url, link.url);
+  if(link.targets){
+    // multi-target keys are edited through the API (targets[]), not this field
+    urlInput.readOnly = true;
+    preview.append(' • ' + link.targets.length + ' targets: ' + link.targets.map(t => t.id + ' ×' + t.weight).join(', '));
+  }
+
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.checked = link.enabled;
+  toggle.setAttribute('aria-label', 'enabled ' + link.key);
+  cell(tr).appendChild(toggle);
+
+  const actions = cell(tr);
+  const box = document.createElement('div');
+  box.className = 'actions';
+  const up = button('↑', 'เลื่อนขึ้น');
+  const down = button('↓', 'เลื่อนลง');
+  const save = button('บันทึก');
+  const del = button('ลบ');
+  del.classList.add('danger');
+  save.disabled = true;
+  const logo = button('โลโก้', 'อัปโหลดโลโก้ ' + link.key);
+  const logoFile = document.createElement('input');
+  logoFile.type = 'file';
+  logoFile.accept = 'image/png,image/jpeg,image/webp';
+  logoFile.hidden = true;
+  const logoDel = button('ลบโลโก้');
+  box.append(up, down, save, logo, logoDel, del, logoFile);
+  actions.appendChild(box);
+
+  function changes(){
+    const patch = {};
+    FIELDS.forEach(f => { if(inputs[f].value !== link[f]) patch[f] = inputs[f].value; });
+    return patch;
+  }
+  function onEdit(){
+    const urlOk = renderPreview(preview, urlInput.value, link.url);
+    urlInput.classList.toggle('invalid', !urlOk);
+    FIELDS.forEach(f => inputs[f].classList.toggle('dirty', inputs[f].value !== link[f]));
+    save.disabled = !urlOk || Object.keys(changes()).length === 0;
+  }
+  FIELDS.forEach(f => inputs[f].addEventListener('input', onEdit));
+  tr.addEventListener('keydown', e => { if(e.key === 'Enter' && e.target.tagName === 'INPUT' && !save.disabled) save.click(); });
+
+  save.addEventListener('click', async ()=>{
+    const patch = changes();
+    if(patch.url && !confirm('บันทึก URL ใหม่สำหรับ ' + link.key + '?\n\n' + link.url + '\n→ ' + patch.url)) return;
+    await run('บันทึก ' + link.key, ()=> api('PATCH', '/' + encodeURIComponent(link.key), patch));
+  });
+  toggle.addEventListener('change', async ()=>{
+    const action = toggle.checked ? 'enable' : 'disable';
+    await run(action + ' ' + link.key, ()=> api('POST', '/' + encodeURIComponent(link.key) + '/' + action));
+  });
+  del.addEventListener('click', async ()=>{
+    if(!confirm('ลบ ' + link.key + ' (' + link.label + ')?')) return;
+    await run('ลบ ' + link.key, ()=> api('DELETE', '/' + encodeURIComponent(link.key)));
+  });
+  logo.addEventListener('click', ()=> logoFile.click());
+  logoFile.addEventListener('change', async ()=>{
+    const file = logoFile.files[0];
+    if(!file) return;
+    if(file.size > 256 * 1024){ setStatus('โลโก้ต้องไม่เกิน 256 KB', true); return; }
+    await run('โลโก้ ' + link.key, ()=> uploadLogo(link.key, file));
+  });
+  logoDel.addEventListener('click', async ()=>{
+    await run('ลบโลโก้ ' + link.key, async ()=>{ await api('DELETE', '/' + encodeURIComponent(link.key) + '/logo'); thumbVersion = Date.now(); });
+  });
+  up.addEventListener('click', ()=> move(link.key, -1));
+  down.addEventListener('click', ()=> move(link.key, 1));
+
+  /* drag to reorder */
+  tr.addEventListener('dragstart', e => {
+    if(e.target !== tr){ return; }
+    dragKey = link.key;
+    tr.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', link.key);
+  });
+  tr.addEventListener('dragend', ()=>{ dragKey = null; tr.classList.remove('dragging'); clearDropMarks(); });
+  tr.addEventListener('dragover', e => {
+    if(!dragKey || dragKey === link.key) return;
+    e.preventDefault();
+    clearDropMarks();
+    tr.classList.add(isAfter(tr, e) ? 'drop-after' : 'drop-before');
+  });
+  tr.addEventListener('drop', e => {
+    if(!dragKey || dragKey === link.key) return;
+    e.preventDefault();
+    const after = isAfter(tr, e);
+    const keys = links.map(l => l.key).filter(k => k !== dragKey);
+    keys.splice(keys.indexOf(link.key) + (after ? 1 : 0), 0, dragKey);
+    clearDropMarks();
+    saveOrder(keys);
+  });
+  // inputs should stay selectable instead of starting a row drag
+  tr.querySelectorAll('input,select').forEach(el => {
+    el.addEventListener('mousedown', ()=>{ tr.draggable = false; });
+    el.addEventListener('blur', ()=>{ tr.draggable = true; });
+  });
+
+  return tr;
+}
+
+function cell(tr, className){
+  const td = document.createElement('td');
+  if(className) td.className = className;
+  tr.appendChild(td);
+  return td;
+}
+
+function button(text, label){
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.textContent = text;
+  if(label) b.setAttribute('aria-label', label);
+  return b;
+}
+
+function isAfter(tr, e){
+  const r = tr.getBoundingClientRect();
+  return e.clientY > r.top + r.height / 2;
+}
+
+function clearDropMarks(){
+  rowsEl.querySelectorAll('.drop-before,.drop-after').forEach(r => r.classList.remove('drop-before', 'drop-after'));
+}
+
+function move(key, delta){
+  const keys = links.map(l => l.key);
+  const i = keys.indexOf(key);
+  const j = i + delta;
+  if(j < 0 || j >= keys.length) return;
+  keys.splice(i, 1);
+  keys.splice(j, 0, key);
+  saveOrder(keys);
+}
+
+function saveOrder(keys){
+  return run('เรียงลำดับ', ()=> api('PUT', '', { order: keys }));
+}
+
+async function run(label, fn){
+  setStatus(label + '...');
+  try {
+    await fn();
+    await refresh();
+    setStatus(label + ' ✓');
+  } catch(e){
+    setStatus(label + ' ไม่สำเร็จ: ' + e.message, true);
+    await refresh();
+  }
+}
+
+/* ------------ New link form ------------ */
+const newPreview = newForm.querySelector('[data-preview]');
+newForm.elements.url.addEventListener('input', ()=>{
+  const ok = renderPreview(newPreview, newForm.elements.url.value, null);
+  newForm.elements.url.classList.toggle('invalid', !ok);
+});
+newForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const body = {};
+  ['key', 'label', 'badge', 'category', 'url'].forEach(f => { body[f] = newForm.elements[f].value.trim(); });
+  if(!checkUrl(body.url).ok){ setStatus('URL ไม่ถูกต้อง', true); return; }
+  setStatus('เพิ่ม ' + body.key + '...');
+  try {
+    await api('POST', '', body);
+    newForm.reset();
+    newPreview.textContent = '';
+    await refresh();
+    setStatus('เพิ่ม ' + body.key + ' ✓');
+  } catch(err){ setStatus('เพิ่มไม่สำเร็จ: ' + err.message, true); }
+});
+
+refresh();
@@ -0,0 +1,94 @@
+// lib/agegate.js
+// Age confirmation + responsible-use interstitial shown by /r/:key before the 302
+// for age-restricted links: every link in a restricted category (AGE_GATE_CATEGORIES,
+// default "game") and any entry with "ageRestricted": true.
+// A confirmation is remembered in a signed cookie (age_ok=<expires>.<hmac>).
+// Answers only count when posted from this host (Origin/Referer, see server.js).
+
+const crypto = require('crypto');
+const { escapeHtml, renderPage } = require('./pages');
+const { DEFAULT_LANG, translator } = require('./i18n');
+
+const COOKIE_NAME = 'age_ok';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Help lines shown on the interstitial (Thailand first); labels are i18n keys.
+const HELP_LINES = [
+  { label: 'gate.help.hotline', href: 'tel:1323' },
+  { label: 'gate.help.study', href: 'https://www.gamblingstudy-th.org/' },
+  { label: 'gate.help.ga', href: 'https://www.gamblersanonymous.org/' }
+];
+
+function createAgeGate({ secret, categories = ['game'], maxAgeDays = 30 }) {
+  const restricted = new Set(categories);
+
+  function sign(value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  }
+
+  function isRestricted(link) {
+    return Boolean(link.ageRestricted) || restricted.has(link.category);
+  }
+
+  function hasConsent(cookies) {
+    const raw = cookies[COOKIE_NAME];
+    if (!raw) return false;
+    const i = raw.lastIndexOf('.');
+    if (i < 0) return false;
+    const expires = raw.slice(0, i);
+    const sig = Buffer.from(raw.slice(i + 1));
+    const expected = Buffer.from(sign(expires));
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(sig, expected)) return false;
+    return Number(expires) > Date.now();
+  }
+
+  function consentCookie(secure) {
+    const expires = String(Date.now() + maxAgeDays * DAY_MS);
+    const parts = [
+      COOKIE_NAME + '=' + expires + '.' + sign(expires),
+      'Path=/',
+      'Max-Age=' + Math.floor(maxAgeDays * DAY_MS / 1000),
+      'HttpOnly',
+      'SameSite=Lax'
+    ];
+    if (secure) parts.push('Secure');
+    return parts.join('; ');
+  }
+
+  return { isRestricted, hasConsent, consentCookie };
+}
+
+// Gate-specific rules on top of the shared theme (lib/pages.js).
+const GATE_CSS = `h1{margin:0 0 4px}
+.target{color:var(--muted);font-size:14px}
+.badge{background:linear-gradient(90deg,var(--neon),var(--accent));padding:4px 8px;border-radius:8px;color:#00101a;font-weight:800;font-size:12px}
+.notice{margin:16px 0;padding:12px 14px;border-radius:10px;border:1px solid rgba(255,209,102,0.25);background:rgba(255,209,102,0.06);color:var(--warn);font-size:14px;line-height:1.6}
+.notice ul{margin:8px 0 0;padding-left:18px}
+.notice a{color:#e6f7ff}
+.row{display:flex;gap:10px;flex-wrap:wrap;margin-top:16px}
+button{flex:1;min-width:180px;padding:12px 14px;border-radius:10px;font:inherit;font-weight:700;cursor:pointer;color:#e6f7ff;background:linear-gradient(90deg, rgba(0,208,255,0.06), rgba(106,0,255,0.06));border:1px solid rgba(0,208,255,0.18)}
+button.primary{background:linear-gradient(90deg,var(--neon),var(--accent));color:#00101a;border:0}
+`;
+
+// Form posts back to the same /r/:key URL (query kept, for campaign tags) with answer=yes|no.
+function renderAgeGate(link, search = '', lang = DEFAULT_LANG) {
+  const tr = translator(lang);
+  const action = '/r/' + encodeURIComponent(link.key) + search;
+  const help = HELP_LINES.map(h => `<li><a href="${escapeHtml(h.href)}" rel="noopener noreferrer" target="_blank">${escapeHtml(tr(h.label))}</a></li>`).join('\n        ');
+  return renderPage(tr('gate.title'), `  <h1 id="gateTitle">${escapeHtml(tr('gate.heading'))}</h1>
+  <div class="target">${escapeHtml(tr('gate.goingTo'))} <strong>${escapeHtml(link.label)}</strong> <span class="badge">${escapeHtml(link.badge)}</span> ${escapeHtml(tr('gate.external'))}</div>
+  <div class="notice" id="gateNotice">
+    ${escapeHtml(tr('gate.notice'))}
+    <ul>
+        ${help}
+    </ul>
+  </div>
+  <form method="post" action="${escapeHtml(action)}">
+    <div class="row">
+      <button type="submit" name="answer" value="yes" class="primary">${escapeHtml(tr('gate.yes'))}</button>
+      <button type="submit" name="answer" value="no">${escapeHtml(tr('gate.no'))}</button>
+    </div>
+  </form>`, lang, { css: GATE_CSS, attrs: 'role="dialog" aria-labelledby="gateTitle" aria-describedby="gateNotice"' });
+}
+
+module.exports = { COOKIE_NAME, HELP_LINES, createAgeGate, renderAgeGate };
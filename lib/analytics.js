@@ -0,0 +1,224 @@
+// lib/analytics.js
+// Click analytics for /r/:key: append-only NDJSON log with size-based rotation,
+// plus aggregation for the /api/stats report.
+//
+// One event per line: { ts, key, t, ip, ua, ref, c?, utm? }
+//   t   - id of the target the visitor was sent to (lib/rotation.js)
+//   c   - campaign/channel from ?c=..., utm - utm_* params (lib/campaign.js)
+//   ip  - salted HMAC-SHA256 of the client IP (first 16 hex chars), never the raw address
+//   ua  - user-agent family (Chrome, Safari, Facebook, bot, ...)
+//   ref - referrer origin + path (query dropped)
+//
+// Files: <dir>/clicks.ndjson, rotated to clicks.ndjson.1 ... clicks.ndjson.<maxFiles>.
+// The IP salt comes from ANALYTICS_SALT, else a random one kept in <dir>/salt so
+// unique-visitor counts survive restarts.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { campaignName } = require('./campaign');
+
+const LOG_NAME = 'clicks.ndjson';
+const FLUSH_INTERVAL_MS = 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Order matters: in-app browsers and Edge/Opera also claim to be Chrome/Safari.
+const UA_FAMILIES = [
+  ['bot', /bot|crawler|spider|slurp|facebookexternalhit|preview|^WhatsApp\//i],
+  ['Facebook', /FBAN|FBAV|FB_IAB/],
+  ['Instagram', /Instagram/],
+  ['TikTok', /musical_ly|TikTok|BytedanceWebview/i],
+  ['LINE', /\bLine\//],
+  ['Telegram', /Telegram/i],
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung', /SamsungBrowser/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//],
+  ['curl', /^curl\//]
+];
+
+function uaFamily(ua) {
+  if (!ua) return 'unknown';
+  for (const [name, re] of UA_FAMILIES) if (re.test(ua)) return name;
+  return 'other';
+}
+
+function cleanReferrer(ref) {
+  if (!ref) return '';
+  try {
+    const u = new URL(ref);
+    return (u.origin + u.pathname).slice(0, 200);
+  } catch (e) {
+    return '';
+  }
+}
+
+class ClickLog {
+  constructor({ dir, salt, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.dir = dir;
+    this.file = path.join(dir, LOG_NAME);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.buffer = [];
+    this.timer = null;
+    fs.mkdirSync(dir, { recursive: true });
+    this.salt = salt || loadSalt(path.join(dir, 'salt'));
+  }
+
+  hashIp(ip) {
+    return crypto.createHmac('sha256', this.salt).update(String(ip || '')).digest('hex').slice(0, 16);
+  }
+
+  record({ key, target, ip, ua, referer, campaign, ts }) {
+    const event = {
+      ts: (ts ? new Date(ts) : new Date()).toISOString(),
+      key,
+      t: target || '',
+      ip: this.hashIp(ip),
+      ua: uaFamily(ua),
+      ref: cleanReferrer(referer)
+    };
+    if (campaign) {
+      if (campaign.c) event.c = campaign.c;
+      if (Object.keys(campaign.utm).length) event.utm = campaign.utm;
+    }
+    this.buffer.push(event);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  // Writes buffered events synchronously; also called on shutdown.
+  flush() {
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+    if (!this.buffer.length) return;
+    const lines = this.buffer.map(e => JSON.stringify(e)).join('\n') + '\n';
+    this.buffer = [];
+    try {
+      this.rotateIfNeeded(Buffer.byteLength(lines));
+      fs.appendFileSync(this.file, lines, 'utf8');
+    } catch (err) {
+      console.error('analytics: write failed:', err.message);
+    }
+  }
+
+  rotateIfNeeded(incoming) {
+    let size = 0;
+    try { size = fs.statSync(this.file).size; } catch (e) { return; }
+    if (size + incoming <= this.maxBytes) return;
+    for (let i = this.maxFiles; i >= 1; i--) {
+      const src = i === 1 ? this.file : this.file + '.' + (i - 1);
+      const dst = this.file + '.' + i;
+      if (!fs.existsSync(src)) continue;
+      if (i === this.maxFiles && fs.existsSync(dst)) fs.unlinkSync(dst);
+      fs.renameSync(src, dst);
+    }
+  }
+
+  // Oldest first, so events come out roughly in time order.
+  files() {
+    const out = [];
+    for (let i = this.maxFiles; i >= 1; i--) {
+      if (fs.existsSync(this.file + '.' + i)) out.push(this.file + '.' + i);
+    }
+    if (fs.existsSync(this.file)) out.push(this.file);
+    return out;
+  }
+
+  async forEachEvent(fn) {
+    this.flush();
+    for (const file of this.files()) {
+      const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line) continue;
+        let e;
+        try { e = JSON.parse(line); } catch (err) { continue; }
+        fn(e);
+      }
+    }
+  }
+
+  // Aggregates events in [from, to). `bucket` is 'hour' or 'day' (UTC).
+  // `campaign` keeps only clicks tagged with that campaign name.
+  async report({ from, to, key, campaign, bucket = 'day' }) {
+    const size = bucket === 'hour' ? HOUR_MS : DAY_MS;
+    const fromMs = from.getTime();
+    const toMs = to.getTime();
+    const perKey = new Map(); // key -> { clicks, visitors:Set }
+    const perTarget = new Map(); // key|target -> { clicks, visitors:Set }
+    const perCampaign = new Map(); // campaign name -> { clicks, visitors:Set }
+    const series = new Map(); // bucketStart|key -> { clicks, visitors:Set }
+    const allVisitors = new Set();
+    let total = 0;
+
+    await this.forEachEvent(e => {
+      const t = Date.parse(e.ts);
+      if (!(t >= fromMs && t < toMs)) return;
+      if (key && e.key !== key) return;
+      const name = campaignName(e);
+      if (campaign && name !== campaign) return;
+      total++;
+      allVisitors.add(e.ip);
+      bump(perKey, e.key, e.ip);
+      bump(perTarget, e.key + '|' + (e.t || ''), e.ip);
+      bump(perCampaign, name, e.ip);
+      const start = Math.floor(t / size) * size;
+      bump(series, start + '|' + e.key, e.ip);
+    });
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket,
+      totals: { clicks: total, uniques: allVisitors.size },
+      keys: [...perKey].map(([k, v]) => ({ key: k, clicks: v.clicks, uniques: v.visitors.size }))
+        .sort((a, b) => b.clicks - a.clicks),
+      variants: [...perTarget].map(([id, v]) => {
+        const [k, t] = id.split('|');
+        return { key: k, target: t, clicks: v.clicks, uniques: v.visitors.size };
+      }).sort((a, b) => (a.key === b.key ? b.clicks - a.clicks : a.key.localeCompare(b.key))),
+      campaigns: [...perCampaign].map(([c, v]) => ({ campaign: c, clicks: v.clicks, uniques: v.visitors.size }))
+        .sort((a, b) => b.clicks - a.clicks),
+      series: [...series].map(([id, v]) => {
+        const [start, k] = id.split('|');
+        return { time: new Date(Number(start)).toISOString(), key: k, clicks: v.clicks, uniques: v.visitors.size };
+      }).sort((a, b) => (a.time === b.time ? a.key.localeCompare(b.key) : a.time < b.time ? -1 : 1))
+    };
+  }
+}
+
+function loadSalt(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    const salt = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(file, salt + '\n', { mode: 0o600 });
+    return salt;
+  }
+}
+
+function bump(map, id, visitor) {
+  let v = map.get(id);
+  if (!v) { v = { clicks: 0, visitors: new Set() }; map.set(id, v); }
+  v.clicks++;
+  v.visitors.add(visitor);
+}
+
+// Text cells starting with = + - @ (or tab/CR) are formulas to spreadsheet apps; campaign
+// names come from visitors, so such cells get a leading ' and are shown as plain text.
+function csvCell(v) {
+  let s = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(',')].concat(rows.map(r => columns.map(c => csvCell(r[c])).join(','))).join('\n') + '\n';
+}
+
+module.exports = { ClickLog, uaFamily, cleanReferrer, toCsv };
@@ -0,0 +1,269 @@
+// lib/api.js
+// Admin REST API for the link registry. Every route requires admin auth (lib/auth.js).
+//
+//  - GET    /api/links                list all entries (including disabled)
+//  - GET    /api/links/:key           one entry
+//  - POST   /api/links                { key, label, badge, category, url, enabled? } -> 201
+//  - PUT    /api/links                { order: [key, ...] } set the display order
+//  - PATCH  /api/links/:key           partial update (key cannot change)
+//  - POST   /api/links/:key/disable   shortcut for { enabled: false }
+//  - POST   /api/links/:key/enable    shortcut for { enabled: true }
+//  - DELETE /api/links/:key
+//  - PUT    /api/links/:key/logo      raw PNG/JPEG/WebP body (max 256 KB), shown by /img/:key.svg
+//  - DELETE /api/links/:key/logo      back to the generated badge
+//
+//  - POST   /api/short                { url, label?, badge?, category?, expiresAt?, ttlMinutes?,
+//                                       maxUses?, oneTime? } -> 201 { link, path: "/r/<random key>" }
+//      generated links are unlisted (not shown on the portal) unless { unlisted: false };
+//      ttlMinutes is at most one year
+//
+// Writes go to data.json immediately, so /r/:key picks them up without a restart.
+//
+//  - GET    /api/stats                click report (lib/analytics.js)
+//      ?from=ISO&to=ISO   range, default last 7 days
+//      &key=k5            single key
+//      &campaign=tiktok   only clicks tagged ?c=tiktok (or utm_source=tiktok)
+//      &bucket=hour|day   time series granularity (UTC), default day
+//      &format=json|csv   csv: &view=series|keys|variants|campaigns, default series
+//
+//  - GET    /api/health               last link health check (lib/health.js)
+//  - POST   /api/health               run a check now and return the fresh report
+//
+// Browsers resend Basic credentials on their own, so every write (any method but GET/HEAD)
+// must also be one a cross-site form cannot send: Content-Type: application/json or an
+// X-Requested-With header (both need a CORS preflight, which this server never grants).
+// Anything else gets 403.
+
+const { setSecurityHeaders, sendJson, isJsonType, readJsonBody, readRawBody } = require('./http');
+const { toCsv } = require('./analytics');
+const { MAX_LOGO_BYTES } = require('./thumbs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TTL_MINUTES = 366 * 24 * 60;
+
+function audit(who, ip, action, key, detail) {
+  console.log(new Date().toISOString(), 'audit', action, key, 'by', who, ip, detail ? JSON.stringify(detail) : '');
+}
+
+function createLinksApi({ links, auth, thumbs }) {
+  async function route(req, res, parts, who, ip) {
+    const method = req.method;
+    const key = decodeSegment(parts[0] || '');
+    const action = parts[1] || '';
+
+    if (!key) {
+      if (method === 'GET') return sendJson(res, 200, { links: links.list() });
+      if (method === 'POST') {
+        const body = await readObjectBody(req);
+        const entry = links.add(body);
+        audit(who, ip, 'create', entry.key, entry);
+        return sendJson(res, 201, { link: entry });
+      }
+      if (method === 'PUT') {
+        const body = await readObjectBody(req);
+        const list = links.reorder(body.order);
+        audit(who, ip, 'reorder', '*', body.order);
+        return sendJson(res, 200, { links: list });
+      }
+      return methodNotAllowed(res, 'GET, POST, PUT');
+    }
+
+    if (action === 'logo' && parts.length === 2) {
+      if (!links.get(key)) return sendJson(res, 404, { error: 'link not found' });
+      if (method === 'PUT') {
+        const logo = thumbs.saveLogo(key, await readRawBody(req, MAX_LOGO_BYTES));
+        audit(who, ip, 'logo', key, logo);
+        return sendJson(res, 200, { logo, src: '/img/' + encodeURIComponent(key) + '.svg' });
+      }
+      if (method === 'DELETE') {
+        thumbs.removeLogo(key);
+        audit(who, ip, 'logo-delete', key);
+        return sendJson(res, 200, { deleted: key + '/logo' });
+      }
+      return methodNotAllowed(res, 'PUT, DELETE');
+    }
+
+    if (action) {
+      if (parts.length > 2 || (action !== 'enable' && action !== 'disable')) return sendJson(res, 404, { error: 'not found' });
+      if (method !== 'POST') return methodNotAllowed(res, 'POST');
+      const entry = links.update(key, { enabled: action === 'enable' });
+      if (!entry) return sendJson(res, 404, { error: 'link not found' });
+      audit(who, ip, action, key);
+      return sendJson(res, 200, { link: entry });
+    }
+
+    if (method === 'GET') {
+      const entry = links.get(key);
+      return entry ? sendJson(res, 200, { link: entry }) : sendJson(res, 404, { error: 'link not found' });
+    }
+    if (method === 'PATCH' || method === 'PUT') {
+      const body = await readObjectBody(req);
+      const entry = links.update(key, body);
+      if (!entry) return sendJson(res, 404, { error: 'link not found' });
+      audit(who, ip, 'update', key, body);
+      return sendJson(res, 200, { link: entry });
+    }
+    if (method === 'DELETE') {
+      const entry = links.remove(key);
+      if (!entry) return sendJson(res, 404, { error: 'link not found' });
+      thumbs.removeLogo(key);
+      audit(who, ip, 'delete', key);
+      return sendJson(res, 200, { deleted: key });
+    }
+    return methodNotAllowed(res, 'GET, PATCH, PUT, DELETE');
+  }
+
+  // Handles /api/links and /api/links/... ; `parts` are the path segments after /api/links.
+  return async function handleLinksApi(req, res, parts, ip) {
+    const who = requireAdmin(auth, req, res);
+    if (!who) return;
+    try {
+      await route(req, res, parts, who, ip);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+function createShortLinksApi({ links, auth }) {
+  return async function handleShortLinksApi(req, res, ip) {
+    const who = requireAdmin(auth, req, res);
+    if (!who) return;
+    if (req.method !== 'POST') return methodNotAllowed(res, 'POST');
+    try {
+      const body = await readObjectBody(req);
+      if (body.key !== undefined) return sendJson(res, 400, { error: 'key is generated; use POST /api/links for a fixed key' });
+      const raw = Object.assign({ label: 'Promo', category: 'game', unlisted: true }, body);
+      delete raw.ttlMinutes;
+      if (body.ttlMinutes !== undefined) {
+        if (typeof body.ttlMinutes !== 'number' || !(body.ttlMinutes > 0) || body.ttlMinutes > MAX_TTL_MINUTES) {
+          return sendJson(res, 400, { error: 'ttlMinutes must be a number > 0 and <= ' + MAX_TTL_MINUTES });
+        }
+        if (body.expiresAt !== undefined) return sendJson(res, 400, { error: 'use either expiresAt or ttlMinutes' });
+        raw.expiresAt = new Date(Date.now() + body.ttlMinutes * 60 * 1000).toISOString();
+      }
+      const entry = links.addWithRandomKey(raw);
+      audit(who, ip, 'create-short', entry.key, entry);
+      sendJson(res, 201, { link: entry, path: '/r/' + entry.key });
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+function createStatsApi({ clicks, auth }) {
+  return async function handleStatsApi(req, res, query) {
+    if (!requireAdmin(auth, req, res)) return;
+    if (req.method !== 'GET') return methodNotAllowed(res, 'GET');
+    try {
+      const to = query.to ? parseDate(query.to, 'to') : new Date();
+      const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - 7 * DAY_MS);
+      const bucket = query.bucket || 'day';
+      if (bucket !== 'hour' && bucket !== 'day') return sendJson(res, 400, { error: 'bucket must be hour or day' });
+      const report = await clicks.report({ from, to, key: query.key || null, campaign: query.campaign || null, bucket });
+
+      if (query.format === 'csv') {
+        const views = {
+          keys: () => toCsv(report.keys, ['key', 'clicks', 'uniques']),
+          variants: () => toCsv(report.variants, ['key', 'target', 'clicks', 'uniques']),
+          campaigns: () => toCsv(report.campaigns, ['campaign', 'clicks', 'uniques']),
+          series: () => toCsv(report.series, ['time', 'key', 'clicks', 'uniques'])
+        };
+        const view = views[query.view] ? query.view : 'series';
+        res.statusCode = 200;
+        setSecurityHeaders(res);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="clicks-' + (view === 'series' ? bucket : view) + '.csv"');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(views[view]());
+        return;
+      }
+      sendJson(res, 200, report);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+function createHealthApi({ health, auth }) {
+  return async function handleHealthApi(req, res) {
+    if (!requireAdmin(auth, req, res)) return;
+    try {
+      if (req.method === 'GET') return sendJson(res, 200, health.report());
+      if (req.method === 'POST') return sendJson(res, 200, await health.runOnce());
+      methodNotAllowed(res, 'GET, POST');
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+// Sends 401/403/503 and returns null unless the request carries admin credentials
+// (and, for writes, passes the CSRF check above).
+function requireAdmin(auth, req, res) {
+  if (!auth.enabled) {
+    sendJson(res, 503, { error: 'admin API disabled (set ADMIN_TOKEN or ADMIN_PASSWORD)' });
+    return null;
+  }
+  const who = auth.check(req);
+  if (!who) {
+    auth.challenge(res);
+    sendJson(res, 401, { error: 'unauthorized' });
+    return null;
+  }
+  if (!isScriptRequest(req)) {
+    sendJson(res, 403, { error: 'writes need Content-Type: application/json or an X-Requested-With header' });
+    return null;
+  }
+  return who;
+}
+
+function isScriptRequest(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return true;
+  if (req.headers['x-requested-with']) return true;
+  return isJsonType(req.headers['content-type']);
+}
+
+// JSON bodies of every write are objects; null, arrays and scalars are a 400.
+async function readObjectBody(req) {
+  const body = await readJsonBody(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    const err = new Error('body must be an object');
+    err.status = 400;
+    throw err;
+  }
+  return body;
+}
+
+function sendError(res, err) {
+  if (err.status && err.status < 500) return sendJson(res, err.status, { error: err.message });
+  console.error('api error:', err);
+  sendJson(res, 500, { error: 'internal error' });
+}
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) {
+    const err = new Error(name + ' must be an ISO date');
+    err.status = 400;
+    throw err;
+  }
+  return d;
+}
+
+function decodeSegment(seg) {
+  try {
+    return decodeURIComponent(seg);
+  } catch (e) {
+    const err = new Error('malformed path');
+    err.status = 400;
+    throw err;
+  }
+}
+
+function methodNotAllowed(res, allow) {
+  res.setHeader('Allow', allow);
+  sendJson(res, 405, { error: 'method not allowed' });
+}
+
+module.exports = { createLinksApi, createShortLinksApi, createStatsApi, createHealthApi };
@@ -0,0 +1,51 @@
+// lib/auth.js
+// Admin authentication for /api/* and the admin page.
+// Credentials come from the `admin` setting (lib/config.js; env ADMIN_TOKEN, ADMIN_USER, ADMIN_PASSWORD):
+//   token     -> "Authorization: Bearer <token>" (scripts, curl)
+//   password  -> HTTP Basic auth, user `user` (default "admin") (browser)
+// Without a password the browser login accepts the token as the password.
+// If neither is set the admin surface is disabled.
+
+const crypto = require('crypto');
+
+// Constant-time string compare (hash first so lengths always match).
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function createAdminAuth({ token, user, password } = {}) {
+  const adminUser = user || 'admin';
+  const basicPassword = password || token;
+  const enabled = Boolean(token || password);
+
+  // Returns a short identity string for the audit log, or null when not authenticated.
+  function check(req) {
+    if (!enabled) return null;
+    const header = String(req.headers.authorization || '');
+    if (token && header.startsWith('Bearer ')) {
+      return safeEqual(header.slice(7).trim(), token) ? 'token' : null;
+    }
+    if (basicPassword && header.startsWith('Basic ')) {
+      const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+      const i = decoded.indexOf(':');
+      if (i < 0) return null;
+      const u = decoded.slice(0, i);
+      const p = decoded.slice(i + 1);
+      // evaluate both so timing does not reveal which half was wrong
+      const ok = safeEqual(u, adminUser) & safeEqual(p, basicPassword);
+      return ok ? 'user:' + u : null;
+    }
+    return null;
+  }
+
+  // Headers for a 401 so browsers show their login prompt.
+  function challenge(res) {
+    if (basicPassword) res.setHeader('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+  }
+
+  return { enabled, check, challenge };
+}
+
+module.exports = { safeEqual, createAdminAuth };
@@ -0,0 +1,46 @@
+// lib/campaign.js
+// Campaign tagging for /r/:key?c=tiktok&utm_source=...
+//  - the campaign (`c`, utm_*) is recorded with the click (lib/analytics.js)
+//  - a link's `forwardParams` allowlist picks which incoming params are copied into the
+//    destination URL; params already on the target (e.g. ?r=ioc2383) are never overridden
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_VALUE = 64;
+
+function clean(value) {
+  return String(value).replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_VALUE);
+}
+
+// Returns { c, utm } for the analytics event, or null when the request is untagged.
+function parseCampaign(params) {
+  const out = { c: '', utm: {} };
+  if (params.has('c')) out.c = clean(params.get('c'));
+  UTM_PARAMS.forEach(name => {
+    if (params.has(name)) {
+      const v = clean(params.get(name));
+      if (v) out.utm[name] = v;
+    }
+  });
+  if (!out.c && !Object.keys(out.utm).length) return null;
+  return out;
+}
+
+// Label used to group clicks in reports: explicit `c`, else utm_source.
+function campaignName(campaign) {
+  if (!campaign) return '';
+  return campaign.c || (campaign.utm && campaign.utm.utm_source) || '';
+}
+
+function applyForwardParams(targetUrl, params, allow) {
+  if (!allow || !allow.length) return targetUrl;
+  const u = new URL(targetUrl);
+  let changed = false;
+  allow.forEach(name => {
+    if (!params.has(name) || u.searchParams.has(name)) return;
+    u.searchParams.set(name, params.get(name));
+    changed = true;
+  });
+  return changed ? u.href : targetUrl;
+}
+
+module.exports = { UTM_PARAMS, parseCampaign, campaignName, applyForwardParams };
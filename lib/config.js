@@ -0,0 +1,207 @@
+// lib/config.js
+// Server settings: defaults, then a JSON config file, then environment variables.
+// Everything is validated at startup; loadConfig() throws one Error listing every problem.
+//
+// The file is CONFIG_FILE, or config.json next to server.js when it exists (see
+// config.example.json). Relative paths are resolved against the file's directory.
+//
+//   setting          file key               env
+//   port             port                   PORT
+//   host             host                   HOST
+//   trusted proxies  trustedProxies         TRUSTED_PROXIES="10.0.0.1, 10.1.0.0/16, loopback"
+//   rate limits      rateLimits.redirect    RATE_LIMIT_REDIRECT="30/60" (requests / seconds)
+//                    rateLimits.api         RATE_LIMIT_API
+//                    rateLimits.page        RATE_LIMIT_PAGE
+//   CSP              csp                    CSP
+//   link registry    dataFile               DATA_FILE
+//   click log        analyticsDir           ANALYTICS_DIR, ANALYTICS_SALT
+//   uploaded logos   logoDir                LOGO_DIR
+//   admin login      admin.token/user/password  ADMIN_TOKEN, ADMIN_USER, ADMIN_PASSWORD
+//   age gate         cookieSecret, ageGate.categories/days  COOKIE_SECRET, AGE_GATE_CATEGORIES, AGE_GATE_DAYS
+//   health checks    health.intervalMin/hideUnhealthy  HEALTH_CHECK_INTERVAL_MIN, HEALTH_HIDE_UNHEALTHY
+//   shutdown         shutdownTimeoutSec     SHUTDOWN_TIMEOUT_SEC
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('./links');
+const { DEFAULT_CSP } = require('./http');
+const { createTrustedProxies } = require('./ratelimit');
+
+const MIN_SECRET_LENGTH = 16;
+
+function defaults(baseDir) {
+  return {
+    port: 3000,
+    host: '0.0.0.0',
+    trustedProxies: [],
+    rateLimits: {
+      redirect: { limit: 30, windowSec: 60 }, // /r/:key - strict
+      api: { limit: 60, windowSec: 60 }, // /api/*
+      page: { limit: 300, windowSec: 60 } // portal, admin page, everything else
+    },
+    csp: DEFAULT_CSP,
+    dataFile: path.join(baseDir, 'data.json'),
+    analyticsDir: path.join(baseDir, 'analytics'),
+    analyticsSalt: null,
+    logoDir: path.join(baseDir, 'logos'),
+    admin: { token: null, user: 'admin', password: null },
+    cookieSecret: null,
+    ageGate: { categories: ['game'], days: 30 },
+    health: { intervalMin: 15, hideUnhealthy: false },
+    shutdownTimeoutSec: 10
+  };
+}
+
+// --- Env parsing (raw strings; validation happens on the merged result) ---
+function list(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function number(value) {
+  return value.trim() === '' ? NaN : Number(value);
+}
+
+function bool(value) {
+  if (/^(1|true|yes|on)$/i.test(value)) return true;
+  if (/^(0|false|no|off)?$/i.test(value)) return false;
+  return value; // rejected by validate()
+}
+
+// Env paths are relative to the working directory, file paths to the file.
+function filePath(value) {
+  return value ? path.resolve(value) : value;
+}
+
+// "30/60" -> { limit: 30, windowSec: 60 }
+function rate(value) {
+  const [limit, windowSec] = value.split('/').map(number);
+  return { limit, windowSec };
+}
+
+const ENV = [
+  ['PORT', c => c, 'port', number],
+  ['HOST', c => c, 'host', String],
+  ['TRUSTED_PROXIES', c => c, 'trustedProxies', list],
+  ['RATE_LIMIT_REDIRECT', c => c.rateLimits, 'redirect', rate],
+  ['RATE_LIMIT_API', c => c.rateLimits, 'api', rate],
+  ['RATE_LIMIT_PAGE', c => c.rateLimits, 'page', rate],
+  ['CSP', c => c, 'csp', String],
+  ['DATA_FILE', c => c, 'dataFile', filePath],
+  ['ANALYTICS_DIR', c => c, 'analyticsDir', filePath],
+  ['ANALYTICS_SALT', c => c, 'analyticsSalt', String],
+  ['LOGO_DIR', c => c, 'logoDir', filePath],
+  ['ADMIN_TOKEN', c => c.admin, 'token', String],
+  ['ADMIN_USER', c => c.admin, 'user', String],
+  ['ADMIN_PASSWORD', c => c.admin, 'password', String],
+  ['COOKIE_SECRET', c => c, 'cookieSecret', String],
+  ['AGE_GATE_CATEGORIES', c => c.ageGate, 'categories', list],
+  ['AGE_GATE_DAYS', c => c.ageGate, 'days', number],
+  ['HEALTH_CHECK_INTERVAL_MIN', c => c.health, 'intervalMin', number],
+  ['HEALTH_HIDE_UNHEALTHY', c => c.health, 'hideUnhealthy', bool],
+  ['SHUTDOWN_TIMEOUT_SEC', c => c, 'shutdownTimeoutSec', number]
+];
+
+// --- Merging the file ---
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Copies known keys from `src` into `dst`; unknown keys are reported (typos in the file).
+function mergeInto(dst, src, where, errors) {
+  Object.keys(src).forEach(k => {
+    const name = where ? where + '.' + k : k;
+    if (!(k in dst)) return errors.push(name + ' is not a known setting');
+    if (isObject(dst[k]) && isObject(src[k])) return mergeInto(dst[k], src[k], name, errors);
+    dst[k] = src[k];
+  });
+}
+
+// --- Validation ---
+function validate(c, errors, warnings) {
+  const int = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+  const str = v => typeof v === 'string' && v.trim() !== '';
+  const optStr = v => v === null || typeof v === 'string';
+
+  if (!int(c.port, 0, 65535)) errors.push('port must be an integer 0-65535');
+  if (!str(c.host)) errors.push('host must be a non-empty string');
+  if (!Array.isArray(c.trustedProxies) || !c.trustedProxies.every(str)) {
+    errors.push('trustedProxies must be a list of IPs, CIDRs or "loopback"');
+  } else {
+    try { createTrustedProxies(c.trustedProxies); } catch (err) { errors.push('trustedProxies: ' + err.message); }
+  }
+  if (!isObject(c.rateLimits)) errors.push('rateLimits must be an object');
+  else {
+    Object.keys(c.rateLimits).forEach(name => {
+      const r = c.rateLimits[name];
+      if (!isObject(r) || !int(r.limit, 1, 1e6) || !int(r.windowSec, 1, 86400)) {
+        errors.push('rateLimits.' + name + ' must be { limit, windowSec } positive integers (env: "limit/seconds")');
+      }
+    });
+  }
+  if (!str(c.csp) || /[\r\n]/.test(c.csp)) errors.push('csp must be a single-line string');
+  ['dataFile', 'analyticsDir', 'logoDir'].forEach(k => { if (!str(c[k])) errors.push(k + ' must be a non-empty path'); });
+  if (!optStr(c.analyticsSalt)) errors.push('analyticsSalt must be a string');
+  if (!isObject(c.admin) || !optStr(c.admin.token) || !str(c.admin.user) || !optStr(c.admin.password)) {
+    errors.push('admin must be { token?, user, password? } strings');
+  } else {
+    if (c.admin.token && c.admin.token.length < MIN_SECRET_LENGTH) warnings.push('admin token is shorter than ' + MIN_SECRET_LENGTH + ' characters');
+    if (c.admin.password && c.admin.password.length < MIN_SECRET_LENGTH) warnings.push('admin password is shorter than ' + MIN_SECRET_LENGTH + ' characters');
+  }
+  if (!optStr(c.cookieSecret)) errors.push('cookieSecret must be a string');
+  else if (c.cookieSecret && c.cookieSecret.length < MIN_SECRET_LENGTH) errors.push('cookieSecret must be at least ' + MIN_SECRET_LENGTH + ' characters');
+  if (!isObject(c.ageGate)) errors.push('ageGate must be an object');
+  else {
+    if (!Array.isArray(c.ageGate.categories) || !c.ageGate.categories.every(v => CATEGORIES.includes(v))) {
+      errors.push('ageGate.categories must list categories from: ' + CATEGORIES.join(', '));
+    }
+    if (typeof c.ageGate.days !== 'number' || !(c.ageGate.days > 0)) errors.push('ageGate.days must be a number > 0');
+  }
+  if (!isObject(c.health)) errors.push('health must be an object');
+  else {
+    if (typeof c.health.intervalMin !== 'number' || !(c.health.intervalMin >= 0)) errors.push('health.intervalMin must be a number >= 0 (0 = off)');
+    if (typeof c.health.hideUnhealthy !== 'boolean') errors.push('health.hideUnhealthy must be a boolean');
+  }
+  if (typeof c.shutdownTimeoutSec !== 'number' || !(c.shutdownTimeoutSec > 0)) errors.push('shutdownTimeoutSec must be a number > 0');
+}
+
+// Returns the merged, validated settings plus `warnings` and `sources` (for the startup log).
+function loadConfig({ env = process.env, baseDir } = {}) {
+  const config = defaults(baseDir);
+  const errors = [];
+  const warnings = [];
+  const sources = [];
+
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : path.join(baseDir, 'config.json');
+  let fileDir = baseDir;
+  if (env.CONFIG_FILE || fs.existsSync(file)) {
+    try {
+      const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!isObject(doc)) throw new Error('expected a JSON object');
+      mergeInto(config, doc, '', errors);
+      fileDir = path.dirname(file);
+      sources.push(file);
+    } catch (err) {
+      errors.push('config file ' + file + ': ' + err.message);
+    }
+  }
+
+  ENV.forEach(([name, parent, key, parse]) => {
+    if (env[name] === undefined) return;
+    const section = parent(config);
+    if (!isObject(section)) return; // the file replaced it; validate() reports that
+    section[key] = parse(env[name]);
+    if (!sources.includes('env')) sources.push('env');
+  });
+
+  validate(config, errors, warnings);
+  if (errors.length) {
+    const err = new Error('invalid configuration:\n  - ' + errors.join('\n  - '));
+    err.errors = errors;
+    throw err;
+  }
+
+  ['dataFile', 'analyticsDir', 'logoDir'].forEach(k => { config[k] = path.resolve(fileDir, config[k]); });
+  config.warnings = warnings;
+  config.sources = sources;
+  return config;
+}
+
+module.exports = { loadConfig };
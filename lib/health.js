@@ -0,0 +1,187 @@
+// lib/health.js
+// Outbound link health checker. Periodically requests every enabled target
+// (HEAD, falling back to GET when HEAD is refused), follows redirects by hand and records
+// status, redirect chain and latency per key and target (see `targets` in lib/links.js).
+//
+//   ok       - the chain ended without a network error on a status below 400
+//   changed  - the chain ended on a different host than the configured target
+//   healthy  - false after `failThreshold` consecutive failed checks
+//
+// Only node:http/https are used and URLs come from the registry, so it can be exercised
+// offline against a local stub server.
+
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { targetsOf } = require('./links');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; link-health/1.0)';
+
+function bareHost(u) {
+  return u.hostname.replace(/^www\./, '').toLowerCase();
+}
+
+// One hop, no redirect following. Resolves { status, location } or { error }.
+function requestOnce(target, method, timeoutMs) {
+  return new Promise(resolve => {
+    const u = new URL(target);
+    const mod = u.protocol === 'https:' ? https : http;
+    let done = false;
+    const finish = result => { if (!done) { done = true; resolve(result); } };
+    const req = mod.request(u, { method, timeout: timeoutMs, headers: { 'User-Agent': USER_AGENT, 'Accept': '*/*' } }, res => {
+      finish({ status: res.statusCode, location: res.headers.location });
+      res.destroy(); // headers are all we need
+    });
+    req.on('timeout', () => req.destroy(new Error('timeout after ' + timeoutMs + 'ms')));
+    req.on('error', err => finish({ error: err.message }));
+    req.end();
+  });
+}
+
+// Follows up to `maxRedirects` hops within an overall `timeoutMs` budget.
+async function checkUrl(target, { timeoutMs = 8000, maxRedirects = 5 } = {}) {
+  const started = Date.now();
+  const chain = [];
+  let current = target;
+  let result = { status: 0 };
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    const left = timeoutMs - (Date.now() - started);
+    if (left <= 0) { result = { error: 'timeout after ' + timeoutMs + 'ms' }; break; }
+    result = await requestOnce(current, 'HEAD', left);
+    if (result.status === 405 || result.status === 501) result = await requestOnce(current, 'GET', Math.max(1, timeoutMs - (Date.now() - started)));
+    if (result.error) break;
+    chain.push({ url: current, status: result.status });
+    if (result.status >= 300 && result.status < 400 && result.location) {
+      let next;
+      try { next = new URL(result.location, current); } catch (e) { result = { error: 'bad redirect location' }; break; }
+      if (next.protocol !== 'http:' && next.protocol !== 'https:') { result = { error: 'redirect to ' + next.protocol }; break; }
+      current = next.href;
+      if (hop === maxRedirects) result = { error: 'too many redirects' };
+      continue;
+    }
+    break;
+  }
+
+  const status = result.error ? 0 : result.status;
+  let changed = false;
+  try { changed = bareHost(new URL(current)) !== bareHost(new URL(target)); } catch (e) { changed = false; }
+  return {
+    url: target,
+    finalUrl: current,
+    status,
+    ok: !result.error && status > 0 && status < 400,
+    error: result.error || null,
+    chain,
+    changed,
+    latencyMs: Date.now() - started
+  };
+}
+
+class HealthChecker extends EventEmitter {
+  constructor({ links, intervalMs = 15 * 60 * 1000, timeoutMs = 8000, maxRedirects = 5, failThreshold = 2, concurrency = 4, hideUnhealthy = false }) {
+    super();
+    this.links = links;
+    this.intervalMs = intervalMs;
+    this.options = { timeoutMs, maxRedirects };
+    this.failThreshold = failThreshold;
+    this.concurrency = concurrency;
+    this.hideUnhealthy = hideUnhealthy;
+    this.results = new Map(); // key|targetId -> last result + failures/healthy
+    this.timer = null;
+    this.firstTimer = null; // the first run, shortly after start()
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) return;
+    const kick = () => this.runOnce().catch(err => console.error('health: run failed:', err));
+    this.timer = setInterval(kick, this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+    this.firstTimer = setTimeout(() => { this.firstTimer = null; kick(); }, 5000);
+    if (this.firstTimer.unref) this.firstTimer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    if (this.firstTimer) clearTimeout(this.firstTimer);
+    this.timer = null;
+    this.firstTimer = null;
+  }
+
+  // Checks every enabled link once; concurrent calls share the same run.
+  runOnce() {
+    if (!this.running) this.running = this.run().finally(() => { this.running = null; });
+    return this.running.then(() => this.report());
+  }
+
+  units() {
+    const out = [];
+    this.links.list().filter(l => l.enabled).forEach(link => {
+      targetsOf(link).forEach(t => out.push({ id: link.key + '|' + t.id, key: link.key, target: t.id, url: t.url }));
+    });
+    return out;
+  }
+
+  async run() {
+    const units = this.units();
+    const queue = units.slice();
+    let flipped = false;
+    const worker = async () => {
+      while (queue.length) {
+        const unit = queue.shift();
+        const res = await checkUrl(unit.url, this.options);
+        const prev = this.results.get(unit.id);
+        const sameTarget = prev && prev.url === unit.url;
+        const failures = res.ok ? 0 : (sameTarget ? prev.failures : 0) + 1;
+        const healthy = failures < this.failThreshold;
+        if (!prev || prev.healthy !== healthy) flipped = true;
+        if (prev && prev.healthy && !healthy) console.warn('health: unhealthy', unit.key, unit.url, res.error || res.status);
+        if (prev && !prev.healthy && healthy) console.log('health: recovered', unit.key, unit.url);
+        if (res.changed && !(sameTarget && prev.changed)) console.warn('health: target moved', unit.key, unit.url, '->', res.finalUrl);
+        this.results.set(unit.id, Object.assign({ key: unit.key, target: unit.target, checkedAt: new Date().toISOString(), failures, healthy }, res));
+      }
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+    // drop results for keys/targets that no longer exist
+    const current = new Set(units.map(u => u.id));
+    for (const id of this.results.keys()) if (!current.has(id)) this.results.delete(id);
+    this.lastRun = new Date().toISOString();
+    if (flipped) this.emit('change');
+  }
+
+  isTargetHealthy(key, targetId) {
+    const r = this.results.get(key + '|' + targetId);
+    return !r || r.healthy;
+  }
+
+  // A key is healthy while at least one of its targets is (or has not been checked yet).
+  isHealthy(key) {
+    const link = this.links.get(key);
+    if (!link) return true;
+    return targetsOf(link).some(t => this.isTargetHealthy(key, t.id));
+  }
+
+  // Used by the portal when HEALTH_HIDE_UNHEALTHY is on.
+  isHidden(key) {
+    return this.hideUnhealthy && !this.isHealthy(key);
+  }
+
+  report() {
+    const results = this.units().map(u => this.results.get(u.id)).filter(Boolean);
+    return {
+      lastRun: this.lastRun,
+      running: Boolean(this.running),
+      hideUnhealthy: this.hideUnhealthy,
+      summary: {
+        checked: results.length,
+        unhealthy: results.filter(r => !r.healthy).length,
+        changed: results.filter(r => r.changed).length
+      },
+      results
+    };
+  }
+}
+
+module.exports = { checkUrl, HealthChecker };
@@ -0,0 +1,125 @@
+// lib/http.js
+// Shared response helpers for server.js and the API modules.
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// --- Security headers ---
+// CSP - minimal, allow same origin scripts/styles; override with the `csp` setting (lib/config.js)
+const DEFAULT_CSP = "default-src 'self'; script-src 'self' 'unsafe-inline' https:; style-src 'self' 'unsafe-inline' https:; img-src 'self' data:;";
+let contentSecurityPolicy = DEFAULT_CSP;
+
+function setContentSecurityPolicy(value) {
+  contentSecurityPolicy = value;
+}
+
+function setSecurityHeaders(res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Referrer-Policy', 'no-referrer-when-downgrade');
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  res.setHeader('Content-Security-Policy', contentSecurityPolicy);
+}
+
+function sendText(res, status, text) {
+  res.statusCode = status;
+  setSecurityHeaders(res);
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end(text);
+}
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  // the rest of an oversized request body may still be arriving; don't reuse the connection
+  if (status === 413) res.setHeader('Connection', 'close');
+  setSecurityHeaders(res);
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(obj));
+}
+
+// Reads a JSON request body. Rejects with err.status set (400/413/415) so callers
+// can answer with the right code.
+// Media types are case-insensitive: "Application/JSON; charset=utf-8" is JSON too.
+function isJsonType(type) {
+  return /^application\/json\s*(;|$)/i.test(String(type || ''));
+}
+
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  if (!isJsonType(req.headers['content-type'])) {
+    const err = new Error('content-type must be application/json');
+    err.status = 415;
+    return Promise.reject(err);
+  }
+  return readRawBody(req, limit).then(body => {
+    const text = body.toString('utf8');
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch (e) {
+      const err = new Error('invalid JSON body');
+      err.status = 400;
+      throw err;
+    }
+  });
+}
+
+// Reads the whole body as a Buffer, rejecting with 413 past `limit` bytes.
+// The rest of an oversized body is read and dropped instead of destroying the socket,
+// so the caller's 413 reaches the client (sent with Connection: close, see sendJson).
+function readRawBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    let chunks = [];
+    let size = 0;
+    const tooLarge = () => {
+      chunks = null;
+      const err = new Error('request body too large');
+      err.status = 413;
+      reject(err);
+    };
+    if (declared > limit) tooLarge();
+    req.on('data', chunk => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > limit) return tooLarge();
+      chunks.push(chunk);
+    });
+    req.on('end', () => { if (chunks) resolve(Buffer.concat(chunks)); });
+    req.on('error', reject);
+  });
+}
+
+// Reads an application/x-www-form-urlencoded body (small HTML forms only).
+function readFormBody(req, limit = 4 * 1024) {
+  return readRawBody(req, limit).then(body => Object.fromEntries(new URLSearchParams(body.toString('utf8'))));
+}
+
+function parseCookies(req) {
+  const out = {};
+  String(req.headers.cookie || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const name = part.slice(0, i).trim();
+    if (!name || name in out) return;
+    try { out[name] = decodeURIComponent(part.slice(i + 1).trim()); } catch (e) { /* skip malformed */ }
+  });
+  return out;
+}
+
+// Behind a TLS-terminating proxy the socket is plain HTTP, so also honor x-forwarded-proto.
+function isHttps(req) {
+  return Boolean(req.socket && req.socket.encrypted) || String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim() === 'https';
+}
+
+// True when a form POST came from one of our own pages: browsers send Origin (or at
+// least Referer) with it, and its host must be ours. Requests with neither are refused.
+function isSameOrigin(req) {
+  const source = req.headers.origin || req.headers.referer;
+  if (!source || !req.headers.host) return false;
+  try {
+    return new URL(source).host === String(req.headers.host).toLowerCase();
+  } catch (e) {
+    return false; // "null" origin (sandboxed frames, privacy settings) or garbage
+  }
+}
+
+module.exports = { DEFAULT_CSP, setContentSecurityPolicy, setSecurityHeaders, sendText, sendJson, isJsonType, readJsonBody, readRawBody, readFormBody, parseCookies, isHttps, isSameOrigin };
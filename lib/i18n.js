@@ -0,0 +1,216 @@
+// lib/i18n.js
+// Message catalogs (th, en) for the server-rendered pages and main.js.
+// Language: ?lang= override, then the "lang" cookie, then Accept-Language; Thai by default.
+// Messages may contain {name} placeholders filled by t().
+
+const { parseCookies } = require('./http');
+
+const LANGS = ['th', 'en'];
+const DEFAULT_LANG = 'th';
+const COOKIE_NAME = 'lang';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+const CATALOGS = {
+  th: {
+    'lang.name': 'ไทย',
+    'category.game': 'เว็บเกม',
+    'category.social': 'โซเชียล',
+
+    'portal.title': 'GPT ตัวตึง — Neon Portal (Server Redirect)',
+    'portal.heading': 'GPT ตัวตึง — Neon Portal',
+    'portal.subtitle': 'Server-side redirect — ลิงก์ไม่ปรากฏใน HTML',
+    'portal.socials': 'โซเชียล',
+    'portal.mute': 'ปิดเสียง',
+    'portal.unmute': 'เปิดเสียง',
+    'portal.language': 'ภาษา',
+    'portal.gamesLabel': 'ลิงก์เว็บเกม',
+    'portal.open': 'เปิดเว็บ',
+    'portal.socialsTitle': 'Socials — ช่องทางติดต่อ',
+    'portal.close': 'ปิด',
+    'portal.footer': 'ออกแบบโดย GPT • Redirect server',
+
+    'main.subtitle': 'รวมลิงก์เว็บและช่องทางโซเชียล',
+    'main.pickButton': '🎲 สุ่ม 3 เว็บ',
+    'main.sitesButton': 'รวมเว็บ',
+    'main.socialButton': 'โซเชียล',
+    'main.note': 'สำหรับผู้ที่มีอายุ 18 ปีขึ้นไป • การพนันมีความเสี่ยง',
+    'main.openSite': 'ไปที่เว็บนี้',
+    'main.gamesTitle': 'รวมเว็บสล็อต',
+    'main.socialsTitle': 'ช่องทางโซเชียล',
+    'main.pickTitle': 'สุ่ม 3 เว็บ — เพื่อความบันเทิงเท่านั้น',
+    'main.cardHint': 'คลิกเพื่อไปที่เว็บ',
+    'main.cardAction': 'ไปที่เว็บ',
+    'main.pickHint': 'สุ่มมาเพื่อความบันเทิง (คลิกเพื่อดู)',
+    'main.pickBadge': '🎲 สุ่ม',
+    'main.pickAction': 'เข้าเล่น',
+    'main.socialHint': 'คลิกเพื่อเปิดช่องทาง',
+    'main.socialAction': 'เปิด',
+    'main.back': '⬅️ กลับ',
+    'main.reroll': '🔄 สุ่มใหม่',
+    'main.close': 'ปิด',
+    'main.scanHint': 'แตะวงกลมเพื่อสุ่ม',
+    'main.startScan': 'เริ่มสุ่ม',
+    'main.scanning': 'กำลังสุ่ม...',
+    'main.scanDone': 'สุ่มเสร็จแล้ว',
+    'main.disclaimer': 'ผลนี้เป็นการสุ่มเพื่อความบันเทิงเท่านั้น ไม่ใช่การวิเคราะห์ ไม่ได้บอกอัตราชนะ โบนัส หรือโอกาสได้เงินจริง การพนันมีความเสี่ยง สำหรับผู้ที่มีอายุ 18 ปีขึ้นไป',
+    'main.unavailable': 'ลิงก์ไม่พร้อมใช้งาน',
+    'main.mute': 'ปิดเสียง',
+
+    'gate.title': 'ยืนยันอายุ',
+    'gate.heading': 'สำหรับผู้มีอายุ 18 ปีขึ้นไปเท่านั้น',
+    'gate.goingTo': 'กำลังไปที่',
+    'gate.external': '(เว็บไซต์ภายนอก)',
+    'gate.notice': 'การพนันมีความเสี่ยงและอาจทำให้เสพติดได้ เล่นเพื่อความบันเทิง ตั้งงบประมาณและเวลาไว้ล่วงหน้า อย่าใช้เงินที่จำเป็นต่อการใช้ชีวิต หากรู้สึกว่าควบคุมไม่ได้ ขอความช่วยเหลือได้ที่:',
+    'gate.help.hotline': 'สายด่วนสุขภาพจิต 1323 (ฟรี 24 ชม.)',
+    'gate.help.study': 'ศูนย์ศึกษาปัญหาการพนัน',
+    'gate.help.ga': 'Gamblers Anonymous',
+    'gate.yes': 'ฉันอายุ 18 ปีขึ้นไป — ไปต่อ',
+    'gate.no': 'ไม่ใช่ — กลับหน้าแรก',
+
+    'error.home': 'กลับหน้าแรก',
+    'error.400.title': 'คำขอไม่ถูกต้อง',
+    'error.400.detail': 'ลิงก์นี้ไม่สมบูรณ์ ลองเปิดจากหน้าแรกอีกครั้ง',
+    'error.404.title': 'ไม่พบหน้านี้',
+    'error.404.detail': 'ลิงก์นี้ไม่มีอยู่หรือถูกปิดไปแล้ว ลองดูลิงก์อื่น ๆ ได้ที่หน้าแรก',
+    'error.410.title': 'ลิงก์นี้หมดอายุแล้ว',
+    'error.410.detail': 'โปรโมชันนี้สิ้นสุดแล้ว ลองดูลิงก์อื่น ๆ ได้ที่หน้าแรก',
+    'error.exhausted.title': 'ลิงก์นี้ถูกใช้ครบแล้ว',
+    'error.exhausted.detail': 'ลิงก์นี้ใช้ได้จำนวนครั้งจำกัดและถูกใช้ครบแล้ว ลองดูลิงก์อื่น ๆ ได้ที่หน้าแรก',
+    'error.405.title': 'ไม่รองรับคำขอนี้',
+    'error.405.detail': 'หน้านี้ไม่รองรับวิธีเรียกแบบนี้ ลองเปิดจากหน้าแรกอีกครั้ง',
+    'error.429.title': 'คำขอถี่เกินไป',
+    'error.429.detail': 'กรุณารอสักครู่แล้วลองใหม่อีกครั้ง',
+    'error.retry': 'ลองใหม่ได้ในอีก {seconds} วินาที',
+    'error.500.title': 'เกิดข้อผิดพลาด',
+    'error.500.detail': 'ระบบขัดข้องชั่วคราว กรุณาลองใหม่ภายหลัง'
+  },
+  en: {
+    'lang.name': 'English',
+    'category.game': 'Game site',
+    'category.social': 'Social',
+
+    'portal.title': 'GPT Tuatueng — Neon Portal (Server Redirect)',
+    'portal.heading': 'GPT Tuatueng — Neon Portal',
+    'portal.subtitle': 'Server-side redirect — links never appear in the HTML',
+    'portal.socials': 'Socials',
+    'portal.mute': 'Mute',
+    'portal.unmute': 'Unmute',
+    'portal.language': 'Language',
+    'portal.gamesLabel': 'Game site links',
+    'portal.open': 'Open site',
+    'portal.socialsTitle': 'Socials — contact channels',
+    'portal.close': 'Close',
+    'portal.footer': 'Designed by GPT • Redirect server',
+
+    'main.subtitle': 'Site links and social channels in one place',
+    'main.pickButton': '🎲 Pick 3 sites',
+    'main.sitesButton': 'All sites',
+    'main.socialButton': 'Socials',
+    'main.note': 'For ages 18 and over • Gambling is risky',
+    'main.openSite': 'Go to this site',
+    'main.gamesTitle': 'All slot sites',
+    'main.socialsTitle': 'Social channels',
+    'main.pickTitle': '3 random sites — for entertainment only',
+    'main.cardHint': 'Click to go to the site',
+    'main.cardAction': 'Go to site',
+    'main.pickHint': 'Picked at random for fun (click to view)',
+    'main.pickBadge': '🎲 Random',
+    'main.pickAction': 'Play',
+    'main.socialHint': 'Click to open the channel',
+    'main.socialAction': 'Open',
+    'main.back': '⬅️ Back',
+    'main.reroll': '🔄 Pick again',
+    'main.close': 'Close',
+    'main.scanHint': 'Tap the circle to pick',
+    'main.startScan': 'Start the pick',
+    'main.scanning': 'Picking...',
+    'main.scanDone': 'Done',
+    'main.disclaimer': 'This result is a random pick for entertainment only. It is not an analysis and says nothing about win rates, bonuses or real chances of winning money. Gambling is risky. For people aged 18 and over.',
+    'main.unavailable': 'This link is not available',
+    'main.mute': 'Mute',
+
+    'gate.title': 'Age confirmation',
+    'gate.heading': 'For ages 18 and over only',
+    'gate.goingTo': 'Going to',
+    'gate.external': '(external website)',
+    'gate.notice': 'Gambling is risky and can be addictive. Play for fun, set a budget and a time limit in advance, and never use money you need for living. If you feel you are losing control, help is available:',
+    'gate.help.hotline': 'Mental health hotline 1323 (free, 24 h, Thailand)',
+    'gate.help.study': 'Center for Gambling Studies (Thailand)',
+    'gate.help.ga': 'Gamblers Anonymous',
+    'gate.yes': 'I am 18 or older — continue',
+    'gate.no': 'No — back to home',
+
+    'error.home': 'Back to home',
+    'error.400.title': 'Bad request',
+    'error.400.detail': 'This link is incomplete. Try opening it from the home page again.',
+    'error.404.title': 'Page not found',
+    'error.404.detail': 'This link does not exist or has been turned off. See the other links on the home page.',
+    'error.410.title': 'This link has expired',
+    'error.410.detail': 'This promotion has ended. See the other links on the home page.',
+    'error.exhausted.title': 'This link has been used up',
+    'error.exhausted.detail': 'This link could only be used a limited number of times. See the other links on the home page.',
+    'error.405.title': 'Method not allowed',
+    'error.405.detail': 'This page does not accept that kind of request. Try opening it from the home page again.',
+    'error.429.title': 'Too many requests',
+    'error.429.detail': 'Please wait a moment and try again.',
+    'error.retry': 'You can try again in {seconds} seconds.',
+    'error.500.title': 'Something went wrong',
+    'error.500.detail': 'The service is having a problem. Please try again later.'
+  }
+};
+
+function isLang(value) {
+  return LANGS.includes(value);
+}
+
+// Looks up `key` in `lang`, falling back to Thai and then to the key itself.
+function t(lang, key, vars) {
+  const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANG];
+  let msg = key in catalog ? catalog[key] : (key in CATALOGS[DEFAULT_LANG] ? CATALOGS[DEFAULT_LANG][key] : key);
+  if (vars) msg = msg.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  return msg;
+}
+
+// Bound lookup for one language: const tr = translator('en'); tr('portal.open')
+function translator(lang) {
+  return (key, vars) => t(lang, key, vars);
+}
+
+// First supported language in Accept-Language preference order, or null.
+function fromAcceptLanguage(header) {
+  const ranked = String(header || '').split(',').map((part, i) => {
+    const [tag, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return { lang: tag.split('-')[0], q: q ? Number(q.slice(2)) || 0 : 1, i };
+  }).filter(r => isLang(r.lang) && r.q > 0).sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? ranked[0].lang : null;
+}
+
+function queryLang(req) {
+  return new URLSearchParams((req.url || '').split('?')[1] || '').get('lang');
+}
+
+// ?lang= beats the cookie, which beats Accept-Language.
+function detectLang(req) {
+  const query = queryLang(req);
+  if (isLang(query)) return query;
+  const cookie = parseCookies(req)[COOKIE_NAME];
+  if (isLang(cookie)) return cookie;
+  return fromAcceptLanguage(req.headers['accept-language']) || DEFAULT_LANG;
+}
+
+// Set-Cookie value remembering an explicit ?lang= choice, or null when there was none.
+function langCookie(req) {
+  const query = queryLang(req);
+  if (!isLang(query) || parseCookies(req)[COOKIE_NAME] === query) return null;
+  return COOKIE_NAME + '=' + query + '; Path=/; Max-Age=' + COOKIE_MAX_AGE + '; SameSite=Lax';
+}
+
+// Messages with a given prefix, e.g. 'main.' for /api/public/links (prefix kept).
+function messages(lang, prefix) {
+  const out = {};
+  Object.keys(CATALOGS[DEFAULT_LANG]).filter(k => k.startsWith(prefix)).forEach(k => { out[k] = t(lang, k); });
+  return out;
+}
+
+module.exports = { LANGS, DEFAULT_LANG, COOKIE_NAME, CATALOGS, isLang, t, translator, detectLang, langCookie, messages };
@@ -0,0 +1,364 @@
+// lib/links.js
+// File-backed link registry (data.json) shared by the redirect server and the frontends.
+// File format: { "links": [ { key, label, badge, category, url, enabled, ageRestricted?, targets?, forwardParams?,
+//                              expiresAt?, maxUses?, uses?, unlisted? }, ... ] }
+// Array order is the display order of the cards.
+// `targets` ([{ id?, url, weight? }]) splits a key across mirror domains (lib/rotation.js);
+// `url` is then the primary target and must be one of them. Target ids default to the host.
+// `forwardParams` lists query params copied from /r/:key?... into the destination (lib/campaign.js).
+// Temporary promo links: `expiresAt` (ISO time) and `maxUses` (with the `uses` counter kept by
+// the server; `oneTime: true` is shorthand for maxUses 1) end a key, `unlisted` keeps it off the portal.
+// Invalid entries are logged and skipped; admin writes keep them in the file as they were.
+// Writes start from the file on disk, so hand edits the watcher has not picked up yet are kept.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const CATEGORIES = ['game', 'social'];
+const KEY_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_TEXT = 80;
+const MAX_TARGETS = 10;
+const PARAM_RE = /^[A-Za-z0-9_.-]{1,40}$/;
+const MAX_PARAMS = 20;
+
+// Errors carry an HTTP status so the admin API can pass them straight through.
+function fail(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// --- Validation ---
+function checkText(value, field, errors) {
+  if (typeof value !== 'string' || !value.trim()) errors.push(field + ' must be a non-empty string');
+  else if (value.length > MAX_TEXT) errors.push(field + ' must be at most ' + MAX_TEXT + ' characters');
+}
+
+function checkUrl(value, errors, field = 'url') {
+  if (typeof value !== 'string' || !value) { errors.push(field + ' must be a non-empty string'); return false; }
+  let u;
+  try { u = new URL(value); } catch (e) { errors.push(field + ' is not a valid absolute URL'); return false; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') { errors.push(field + ' must use http or https (got ' + u.protocol + ')'); return false; }
+  return true;
+}
+
+// Returns normalized targets ([{ id, url, weight }]) or null when none were given.
+function checkTargets(value, errors) {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || !value.length || value.length > MAX_TARGETS) {
+    errors.push('targets must be an array of 1-' + MAX_TARGETS + ' { url, weight? } objects');
+    return null;
+  }
+  const ids = new Set();
+  const out = [];
+  value.forEach((t, i) => {
+    const field = 'targets[' + i + ']';
+    if (!t || typeof t !== 'object') { errors.push(field + ' must be an object'); return; }
+    if (!checkUrl(t.url, errors, field + '.url')) return;
+    const weight = t.weight === undefined ? 1 : t.weight;
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) { errors.push(field + '.weight must be a number >= 0'); return; }
+    let id = t.id === undefined ? new URL(t.url).host : t.id;
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_.:-]{1,64}$/.test(id)) { errors.push(field + '.id must be 1-64 of [A-Za-z0-9_.:-]'); return; }
+    if (ids.has(id)) {
+      if (t.id !== undefined) { errors.push(field + '.id is duplicated: ' + id); return; }
+      id = id + '-' + (i + 1);
+    }
+    ids.add(id);
+    out.push({ id, url: t.url, weight });
+  });
+  if (out.length === value.length && !out.some(t => t.weight > 0)) errors.push('targets need at least one weight > 0');
+  return out;
+}
+
+// Returns a normalized copy of the entry or throws an Error listing every problem.
+function validateEntry(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw fail(400, 'entry must be an object');
+  const errors = [];
+  if (typeof raw.key !== 'string' || !KEY_RE.test(raw.key)) errors.push('key must match ' + KEY_RE);
+  checkText(raw.label, 'label', errors);
+  checkText(raw.badge, 'badge', errors);
+  if (!CATEGORIES.includes(raw.category)) errors.push('category must be one of: ' + CATEGORIES.join(', '));
+  const targets = checkTargets(raw.targets, errors);
+  const url = raw.url === undefined && targets && targets.length ? targets[0].url : raw.url;
+  if (checkUrl(url, errors) && targets && targets.length && !targets.some(t => t.url === url)) {
+    errors.push('url must be one of targets[].url (edit targets to change destinations)');
+  }
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') errors.push('enabled must be a boolean');
+  if (raw.ageRestricted !== undefined && typeof raw.ageRestricted !== 'boolean') errors.push('ageRestricted must be a boolean');
+  if (raw.forwardParams !== undefined && raw.forwardParams !== null &&
+      (!Array.isArray(raw.forwardParams) || raw.forwardParams.length > MAX_PARAMS || !raw.forwardParams.every(p => typeof p === 'string' && PARAM_RE.test(p)))) {
+    errors.push('forwardParams must be an array of up to ' + MAX_PARAMS + ' parameter names matching ' + PARAM_RE);
+  }
+  if (raw.unlisted !== undefined && typeof raw.unlisted !== 'boolean') errors.push('unlisted must be a boolean');
+  let expiresAt = null;
+  if (raw.expiresAt !== undefined && raw.expiresAt !== null) {
+    const d = new Date(raw.expiresAt);
+    if (typeof raw.expiresAt !== 'string' || isNaN(d.getTime())) errors.push('expiresAt must be an ISO date');
+    else expiresAt = d.toISOString();
+  }
+  if (raw.oneTime !== undefined && typeof raw.oneTime !== 'boolean') errors.push('oneTime must be a boolean');
+  const maxUses = raw.oneTime ? 1 : raw.maxUses;
+  if (maxUses !== undefined && maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) errors.push('maxUses must be a positive integer');
+  if (raw.uses !== undefined && !(Number.isInteger(raw.uses) && raw.uses >= 0)) errors.push('uses must be an integer >= 0');
+  if (errors.length) throw fail(400, errors.join('; '));
+
+  const entry = {
+    key: raw.key,
+    label: raw.label.trim(),
+    badge: raw.badge.trim(),
+    category: raw.category,
+    url,
+    enabled: raw.enabled !== false
+  };
+  if (raw.ageRestricted) entry.ageRestricted = true;
+  if (targets) entry.targets = targets;
+  if (raw.forwardParams && raw.forwardParams.length) entry.forwardParams = [...new Set(raw.forwardParams)];
+  if (raw.unlisted) entry.unlisted = true;
+  if (expiresAt) entry.expiresAt = expiresAt;
+  if (maxUses) {
+    entry.maxUses = maxUses;
+    entry.uses = raw.uses || 0;
+  }
+  return entry;
+}
+
+// 'expired' or 'exhausted' once a promo link has run out, otherwise null.
+function linkState(link, now = Date.now()) {
+  if (link.expiresAt && Date.parse(link.expiresAt) <= now) return 'expired';
+  if (link.maxUses && (link.uses || 0) >= link.maxUses) return 'exhausted';
+  return null;
+}
+
+// Random key for generated short links: 7 chars of [A-Za-z0-9_-].
+function randomKey() {
+  return crypto.randomBytes(5).toString('base64url');
+}
+
+// Rotation set for a link: its `targets`, or the single `url` with weight 1.
+function targetsOf(link) {
+  return link.targets || [{ id: new URL(link.url).host, url: link.url, weight: 1 }];
+}
+
+// Validates a whole document. Malformed or duplicate entries are skipped and reported
+// in `errors` so one bad line in data.json does not take every other link down.
+function parseLinks(doc) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.links)) {
+    throw new Error('expected an object with a "links" array');
+  }
+  const links = [];
+  const errors = [];
+  const rejected = []; // { index, raw } as found in the file
+  const seen = new Set();
+  doc.links.forEach((raw, i) => {
+    const where = 'links[' + i + ']' + (raw && typeof raw.key === 'string' ? ' (' + raw.key + ')' : '');
+    try {
+      const entry = validateEntry(raw);
+      if (seen.has(entry.key)) throw new Error('duplicate key');
+      seen.add(entry.key);
+      links.push(entry);
+    } catch (err) {
+      errors.push(where + ': ' + err.message);
+      rejected.push({ index: i, raw });
+    }
+  });
+  return { links, errors, rejected };
+}
+
+// --- Store ---
+class LinkStore extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.links = [];
+    this.byKey = new Map();
+    // Entries the file has but validation rejected. Saves write them back unchanged at
+    // their old position, so an admin edit never deletes a row the operator can still fix.
+    this.rejected = [];
+    this.lastRaw = null;
+    this.watching = false;
+  }
+
+  // Reads and validates the file. On a read/parse failure the previous links are kept.
+  // Returns true when the in-memory registry changed.
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      console.error('links: cannot read', this.filePath + ':', err.message);
+      return false;
+    }
+    return this.loadRaw(raw);
+  }
+
+  loadRaw(raw) {
+    if (raw === this.lastRaw) return false;
+
+    let doc;
+    try {
+      doc = JSON.parse(raw);
+    } catch (err) {
+      console.error('links: invalid JSON in', this.filePath + ':', err.message, '(keeping previous links)');
+      return false;
+    }
+
+    let result;
+    try {
+      result = parseLinks(doc);
+    } catch (err) {
+      console.error('links: invalid data in', this.filePath + ':', err.message, '(keeping previous links)');
+      return false;
+    }
+    result.errors.forEach(msg => console.error('links: rejected', msg));
+
+    this.lastRaw = raw;
+    this.rejected = result.rejected;
+    this.setLinks(result.links);
+    return true;
+  }
+
+  setLinks(links) {
+    this.links = links;
+    this.byKey = new Map(links.map(l => [l.key, l]));
+    this.emit('change', this.links);
+  }
+
+  // Polls the file so editor renames and replaced files are picked up too.
+  watch(intervalMs = 1000) {
+    if (this.watching) return;
+    this.watching = true;
+    const watcher = fs.watchFile(this.filePath, { interval: intervalMs }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs && cur.size === prev.size) return;
+      if (this.load()) console.log('links: reloaded', this.links.length, 'entries from', this.filePath);
+    });
+    if (watcher && watcher.unref) watcher.unref();
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  // Called before every mutation: takes in edits made to the file since the last load or
+  // save, so the write is computed from what is on disk now. A changed file that does not
+  // load (an edit in progress) is a 409 rather than being overwritten.
+  refresh() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return; // the save recreates it
+      throw err;
+    }
+    if (raw === this.lastRaw) return;
+    this.loadRaw(raw);
+    if (raw !== this.lastRaw) throw fail(409, 'data file changed on disk and cannot be loaded; fix it and retry');
+  }
+
+  // Writes the registry atomically (temp file + rename) so the watcher and a crash
+  // mid-write never see a half-written data.json.
+  save(links) {
+    const out = links.slice();
+    this.rejected.forEach(({ index, raw }) => out.splice(Math.min(index, out.length), 0, raw));
+    const raw = JSON.stringify({ links: out }, null, 2) + '\n';
+    const tmp = this.filePath + '.' + process.pid + '.tmp';
+    fs.writeFileSync(tmp, raw, 'utf8');
+    fs.renameSync(tmp, this.filePath);
+    this.lastRaw = raw;
+    this.setLinks(links);
+  }
+
+  // --- Mutations (validate, persist, then swap in) ---
+  add(raw) {
+    this.refresh();
+    const entry = validateEntry(raw);
+    if (this.byKey.has(entry.key)) throw fail(409, 'key already exists: ' + entry.key);
+    if (this.hasRejectedKey(entry.key)) throw fail(409, 'key is used by a rejected entry in the data file: ' + entry.key);
+    this.save(this.links.concat(entry));
+    return entry;
+  }
+
+  // Like add() with a generated key; retries on the (unlikely) collision.
+  addWithRandomKey(raw) {
+    this.refresh();
+    for (let i = 0; i < 5; i++) {
+      const key = randomKey();
+      if (!this.byKey.has(key) && !this.hasRejectedKey(key)) return this.add(Object.assign({}, raw, { badge: raw.badge || key, key }));
+    }
+    throw fail(500, 'could not generate a free key');
+  }
+
+  update(key, patch) {
+    this.refresh();
+    const current = this.byKey.get(key);
+    if (!current) return null;
+    if (patch.key !== undefined && patch.key !== key) throw fail(400, 'key cannot be changed');
+    const merged = Object.assign({}, current, patch, { key });
+    // new targets without an explicit url: the primary becomes the first target
+    if (Array.isArray(patch.targets) && patch.url === undefined) delete merged.url;
+    if (merged.targets === null) delete merged.targets;
+    // a new limit (or oneTime) starts counting again; null removes the limit
+    if (patch.maxUses !== undefined || patch.oneTime !== undefined) merged.uses = 0;
+    if (merged.maxUses === null) { delete merged.maxUses; delete merged.uses; }
+    if (merged.oneTime === false && patch.maxUses === undefined) delete merged.maxUses;
+    const entry = validateEntry(merged);
+    this.save(this.links.map(l => (l.key === key ? entry : l)));
+    return entry;
+  }
+
+  // Counts one redirect against `maxUses`. Links without a limit are not written back.
+  consume(key) {
+    this.refresh();
+    const current = this.byKey.get(key);
+    if (!current || !current.maxUses) return current || null;
+    const entry = Object.assign({}, current, { uses: (current.uses || 0) + 1 });
+    this.save(this.links.map(l => (l.key === key ? entry : l)));
+    return entry;
+  }
+
+  remove(key) {
+    this.refresh();
+    const current = this.byKey.get(key);
+    if (!current) return null;
+    this.save(this.links.filter(l => l.key !== key));
+    return current;
+  }
+
+  // `keys` must list every existing key exactly once, in the new display order.
+  reorder(keys) {
+    if (!Array.isArray(keys)) throw fail(400, 'order must be an array of keys');
+    this.refresh();
+    const unique = new Set(keys);
+    if (unique.size !== keys.length || keys.length !== this.links.length || !keys.every(k => this.byKey.has(k))) {
+      throw fail(400, 'order must contain every existing key exactly once');
+    }
+    this.save(keys.map(k => this.byKey.get(k)));
+    return this.list();
+  }
+
+  hasRejectedKey(key) {
+    return this.rejected.some(({ raw }) => raw && raw.key === key);
+  }
+
+  get(key) {
+    return this.byKey.get(key) || null;
+  }
+
+  list() {
+    return this.links.slice();
+  }
+
+  keys() {
+    return this.links.map(l => l.key);
+  }
+}
+
+function createLinkStore(filePath) {
+  const store = new LinkStore(filePath);
+  store.load();
+  return store;
+}
+
+module.exports = { CATEGORIES, validateEntry, parseLinks, targetsOf, linkState, LinkStore, createLinkStore };
@@ -0,0 +1,108 @@
+// lib/pages.js
+// The neon theme shared by every server-rendered page (portal, age gate, error pages),
+// plus themed HTML error/status pages (400/404/405/410/429/500) in the visitor's
+// language (lib/i18n.js). Clients that send Accept: application/json get { error }
+// instead, like the API.
+
+const { setSecurityHeaders, sendJson } = require('./http');
+const { translator, detectLang } = require('./i18n');
+
+// JSON bodies match the API's { error } shape.
+const JSON_ERRORS = {
+  400: 'bad request',
+  404: 'not found',
+  405: 'method not allowed',
+  410: 'link expired',
+  exhausted: 'link used up',
+  429: 'too many requests',
+  500: 'internal error'
+};
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// --- Theme ---
+const FONT_LINK = '<link href="https://fonts.googleapis.com/css2?family=Kanit:wght@300;400;600;800&display=swap" rel="stylesheet">';
+const THEME_CSS = `:root{--bg1:#05030a;--bg2:#0b0b1a;--neon:#00d0ff;--accent:#6a00ff;--muted:#98a0b3;--warn:#ffd166;}
+html,body{height:100%}
+body{margin:0;font-family:'Kanit',sans-serif;background:
+  radial-gradient(1200px 600px at 10% 10%, rgba(0,208,255,0.06), transparent),
+  radial-gradient(900px 400px at 90% 90%, rgba(106,0,255,0.05), transparent),
+  linear-gradient(180deg,var(--bg1),var(--bg2));
+  color:#e6f7ff}`;
+
+function wantsJson(req) {
+  return String(req.headers.accept || '').includes('application/json');
+}
+
+// A centered neon card page. `body` is trusted HTML, `title` is escaped here;
+// `css` adds page-specific rules and `attrs` (trusted) goes on the <main> card.
+function renderPage(title, body, lang = 'th', { css = '', attrs = '' } = {}) {
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="robots" content="noindex" />
+<title>${escapeHtml(title)} — GPT ตัวตึง</title>
+${FONT_LINK}
+<style>
+${THEME_CSS}
+body{display:grid;place-items:center;padding:20px;box-sizing:border-box}
+.modal{width:100%;max-width:560px;background:linear-gradient(180deg, rgba(10,8,20,0.7), rgba(6,4,12,0.9));padding:22px;border-radius:14px;border:1px solid rgba(255,255,255,0.06)}
+h1{font-size:22px}
+${css}</style>
+</head>
+<body>
+<main class="modal"${attrs ? ' ' + attrs : ''}>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+const ERROR_CSS = `.modal{text-align:center}
+.code{font-size:48px;font-weight:800;line-height:1;background:linear-gradient(90deg,var(--neon),var(--accent));-webkit-background-clip:text;background-clip:text;color:transparent}
+h1{margin:8px 0}
+p{color:var(--muted);font-size:15px;line-height:1.6;margin:0}
+a.neon-btn{display:inline-block;margin-top:18px;padding:12px 18px;border-radius:10px;font-weight:700;text-decoration:none;color:#00101a;background:linear-gradient(90deg,var(--neon),var(--accent))}
+`;
+
+const PAGE_STATUSES = [400, 404, 405, 410, 429, 500];
+
+function renderErrorPage(status, lang, { reason, retryAfterSec } = {}) {
+  const tr = translator(lang);
+  const id = reason === 'exhausted' ? reason : PAGE_STATUSES.includes(status) ? status : 500;
+  const title = tr('error.' + id + '.title');
+  const retry = status === 429 && retryAfterSec ? `\n  <p>${escapeHtml(tr('error.retry', { seconds: retryAfterSec }))}</p>` : '';
+  return renderPage(title, `  <div class="code">${status}</div>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(tr('error.' + id + '.detail'))}</p>${retry}
+  <a class="neon-btn" href="/">${escapeHtml(tr('error.home'))}</a>`, lang, { css: ERROR_CSS });
+}
+
+// Ends `res` with an error page (or JSON). `reason` picks a variant such as
+// 'exhausted' for 410 (see linkState() in lib/links.js).
+function sendErrorPage(req, res, status, options = {}) {
+  if (wantsJson(req)) {
+    const body = { error: (options.reason && JSON_ERRORS[options.reason]) || JSON_ERRORS[status] || JSON_ERRORS[500] };
+    if (status === 429 && options.retryAfterSec) body.retryAfter = options.retryAfterSec;
+    return sendJson(res, status, body);
+  }
+  const lang = detectLang(req);
+  res.statusCode = status;
+  setSecurityHeaders(res);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Language', lang);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Vary', 'Accept, Accept-Language, Cookie');
+  res.end(renderErrorPage(status, lang, options));
+}
+
+module.exports = { escapeHtml, FONT_LINK, THEME_CSS, wantsJson, renderPage, renderErrorPage, sendErrorPage };
@@ -0,0 +1,245 @@
+// lib/portal.js
+// Server-rendered portal page. Cards come from the link registry (lib/links.js):
+// games fill the grid, socials fill the overlay, disabled entries are left out.
+// Unlisted, expired and used-up promo links are left out as well.
+// Buttons only carry the key; targets stay on the server behind /r/:key.
+
+const { linkState } = require('./links');
+const { LANGS, DEFAULT_LANG, translator } = require('./i18n');
+const { escapeHtml, FONT_LINK, THEME_CSS } = require('./pages');
+
+function renderCard(link, tr) {
+  const key = escapeHtml(link.key);
+  const label = escapeHtml(link.label);
+  const badge = escapeHtml(link.badge);
+  const category = escapeHtml(tr('category.' + link.category));
+  return `    <article class="card" data-category="${escapeHtml(link.category)}"><h3>${label}</h3><p>${category}</p><div style="margin-top:12px"><button class="neon-btn openKey" data-key="${key}"><span>${escapeHtml(tr('portal.open'))}</span><span class="badge">${badge}</span></button></div></article>`;
+}
+
+function renderSocial(link) {
+  return `      <button class="neon-btn openKey" data-key="${escapeHtml(link.key)}"><span>${escapeHtml(link.label)}</span><span class="badge">${escapeHtml(link.badge)}</span></button>`;
+}
+
+// Header switcher: plain links, the server remembers ?lang= in a cookie.
+function renderLangSwitch(lang, tr) {
+  const items = LANGS.map(l => (l === lang
+    ? `<span class="icon-btn" aria-current="true" lang="${l}">${escapeHtml(translator(l)('lang.name'))}</span>`
+    : `<a class="icon-btn" href="/?lang=${l}" hreflang="${l}" lang="${l}">${escapeHtml(translator(l)('lang.name'))}</a>`));
+  return `<nav class="lang-switch" aria-label="${escapeHtml(tr('portal.language'))}">${items.join('')}</nav>`;
+}
+
+function renderPage(links, lang = DEFAULT_LANG) {
+  const tr = translator(lang);
+  const enabled = links.filter(l => l.enabled);
+  const games = enabled.filter(l => l.category === 'game');
+  const socials = enabled.filter(l => l.category === 'social');
+  return `<!doctype html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(tr('portal.title'))}</title>
+${FONT_LINK}
+<style>
+${THEME_CSS}
+body{-webkit-font-smoothing:antialiased; -moz-osx-font-smoothing:grayscale; overflow-x:hidden;}
+.container{max-width:1100px;margin:48px auto;padding:24px}
+header{display:flex;align-items:center;gap:16px}
+.logo{width:64px;height:64px;border-radius:14px;background:linear-gradient(135deg, rgba(0,208,255,0.12), rgba(106,0,255,0.12));display:grid;place-items:center;border:1px solid rgba(0,208,255,0.18)}
+.title{font-weight:800;font-size:20px}
+.subtitle{color:var(--muted);font-size:13px}
+.links-grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(240px,1fr));gap:18px;margin-top:28px}
+.card{background:linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.01));border-radius:12px;padding:14px;border:1px solid rgba(255,255,255,0.04)}
+.neon-btn{display:inline-flex;align-items:center;gap:10px;padding:10px 14px;border-radius:10px;background:linear-gradient(90deg, rgba(0,208,255,0.06), rgba(106,0,255,0.06));border:1px solid rgba(0,208,255,0.18);cursor:pointer;font-weight:700}
+.badge{background:linear-gradient(90deg,var(--neon),var(--accent));padding:6px 8px;border-radius:8px;color:#00101a;font-weight:800;font-size:12px}
+.controls{display:flex;gap:12px;margin-left:auto}
+.lang-switch{display:flex;gap:4px}
+.lang-switch a{color:inherit;text-decoration:none}
+.lang-switch [aria-current]{border-color:rgba(0,208,255,0.4)}
+.icon-btn{padding:8px;border-radius:10px;border:1px solid rgba(255,255,255,0.04);background:transparent;cursor:pointer}
+.overlay{position:fixed;inset:0;display:flex;align-items:center;justify-content:center;padding:28px;background:linear-gradient(180deg, rgba(2,2,6,0.6), rgba(2,2,6,0.85));backdrop-filter:blur(6px);opacity:0;visibility:hidden;pointer-events:none;transition:opacity .22s ease,visibility 0s linear .22s}
+.overlay.open{opacity:1;visibility:visible;pointer-events:auto;transition-delay:0s}
+.modal{width:100%;max-width:720px;background:linear-gradient(180deg, rgba(10,8,20,0.7), rgba(6,4,12,0.9));padding:18px;border-radius:12px;border:1px solid rgba(255,255,255,0.04)}
+.row{display:flex;gap:10px;flex-wrap:wrap;margin-top:12px}
+.neon-btn:focus-visible,.icon-btn:focus-visible{outline:2px solid var(--neon);outline-offset:2px}
+#muteToggle[aria-pressed="true"]{border-color:rgba(0,208,255,0.4)}
+footer{margin-top:28px;text-align:center;color:var(--muted);font-size:13px}
+@media (max-width:640px){.links-grid{grid-template-columns:repeat(auto-fit,minmax(180px,1fr))}}
+@media (prefers-reduced-motion: reduce){.overlay{transition:none}}
+</style>
+</head>
+<body>
+<main class="container">
+  <header>
+    <div class="logo">GPT</div>
+    <div>
+      <div class="title">${escapeHtml(tr('portal.heading'))}</div>
+      <div class="subtitle">${escapeHtml(tr('portal.subtitle'))}</div>
+    </div>
+    <div class="controls">
+      ${renderLangSwitch(lang, tr)}
+      <button class="icon-btn" id="openSocials" aria-haspopup="dialog" aria-controls="socialOverlay">${escapeHtml(tr('portal.socials'))}</button>
+      <button class="icon-btn" id="muteToggle" aria-pressed="false" data-mute="${escapeHtml(tr('portal.mute'))}" data-unmute="${escapeHtml(tr('portal.unmute'))}">${escapeHtml(tr('portal.mute'))}</button>
+    </div>
+  </header>
+
+  <section class="links-grid" aria-label="${escapeHtml(tr('portal.gamesLabel'))}">
+    <!-- Buttons reference server keys only -->
+${games.map(l => renderCard(l, tr)).join('\n')}
+  </section>
+
+  <footer><small>${escapeHtml(tr('portal.footer'))}</small></footer>
+</main>
+
+<!-- Social overlay -->
+<div class="overlay" id="socialOverlay" aria-hidden="true">
+  <div class="modal" role="dialog" aria-modal="true" aria-labelledby="socialsTitle">
+    <div style="display:flex;align-items:center;gap:12px">
+      <div aria-hidden="true" style="width:48px;height:48px;border-radius:10px;background:linear-gradient(90deg,var(--neon),var(--accent));display:grid;place-items:center;color:#00101a;font-weight:800">SG</div>
+      <div><div id="socialsTitle" style="font-weight:800">${escapeHtml(tr('portal.socialsTitle'))}</div><div style="color:var(--muted);font-size:13px">${escapeHtml(socials.map(s => s.label).join(', '))}</div></div>
+      <div style="margin-left:auto"><button class="neon-btn" id="closeOverlay">${escapeHtml(tr('portal.close'))}</button></div>
+    </div>
+    <div class="row" style="margin-top:12px">
+${socials.map(renderSocial).join('\n')}
+    </div>
+  </div>
+</div>
+
+<script>
+/* Frontend: opens server endpoint /r/{key} in new tab.
+   Uses WebAudio API to generate a short click sound (no file needed).
+*/
+const clickOsc = (() => {
+  // returns a function playClick() that safely plays a short click
+  let ctx = null;
+  return () => {
+    if (!ctx) {
+      try { ctx = new (window.AudioContext || window.webkitAudioContext)(); } catch(e){ ctx = null; }
+    }
+    if (!ctx) return;
+    const o = ctx.createOscillator();
+    const g = ctx.createGain();
+    o.type = 'sine';
+    o.frequency.value = 900;
+    g.gain.value = 0;
+    o.connect(g); g.connect(ctx.destination);
+    // short envelope
+    const now = ctx.currentTime;
+    g.gain.cancelScheduledValues(now);
+    g.gain.setValueAtTime(0, now);
+    g.gain.linearRampToValueAtTime(0.15, now + 0.005);
+    g.gain.exponentialRampToValueAtTime(0.001, now + 0.06);
+    o.start(now);
+    o.stop(now + 0.07);
+  };
+})();
+
+// Sound preference, remembered in localStorage (same key as public/main.js)
+const MUTE_KEY = 'tuatueng.muted';
+const muteBtn = document.getElementById('muteToggle');
+let soundOn = true;
+try { soundOn = localStorage.getItem(MUTE_KEY) !== '1'; } catch(e){}
+function renderMute() {
+  muteBtn.textContent = soundOn ? muteBtn.dataset.mute : muteBtn.dataset.unmute;
+  muteBtn.setAttribute('aria-pressed', String(!soundOn));
+}
+renderMute();
+muteBtn.addEventListener('click', () => {
+  soundOn = !soundOn;
+  try { soundOn ? localStorage.removeItem(MUTE_KEY) : localStorage.setItem(MUTE_KEY, '1'); } catch(e){}
+  renderMute();
+});
+
+// open redirect endpoint
+function openKey(key) {
+  const endpoint = '/r/' + encodeURIComponent(key);
+  if (soundOn) try { clickOsc(); } catch(e){}
+  window.open(endpoint, '_blank', 'noopener');
+}
+
+// bind buttons
+document.querySelectorAll('.openKey').forEach(b => {
+  b.addEventListener('click', (e) => {
+    const k = b.dataset.key;
+    openKey(k);
+  });
+});
+
+// overlay controls: a modal dialog. Focus moves into it on open, Tab stays inside,
+// Escape / backdrop / close button shut it and focus returns to the opener.
+const overlay = document.getElementById('socialOverlay');
+let returnFocus = null;
+function focusables() {
+  return [...overlay.querySelectorAll('button, a[href], [tabindex]:not([tabindex="-1"])')];
+}
+function openOverlay() {
+  returnFocus = document.activeElement;
+  overlay.classList.add('open');
+  overlay.setAttribute('aria-hidden','false');
+  document.getElementById('closeOverlay').focus();
+}
+function closeOverlay() {
+  if (!overlay.classList.contains('open')) return;
+  overlay.classList.remove('open');
+  overlay.setAttribute('aria-hidden','true');
+  if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+  returnFocus = null;
+}
+document.getElementById('openSocials').addEventListener('click', () => { openOverlay(); if (soundOn) try { clickOsc(); } catch(e){} });
+document.getElementById('closeOverlay').addEventListener('click', () => { closeOverlay(); if (soundOn) try { clickOsc(); } catch(e){} });
+overlay.addEventListener('click', (e) => { if (e.target === overlay) closeOverlay(); });
+document.addEventListener('keydown', e => {
+  if (!overlay.classList.contains('open')) return;
+  if (e.key === 'Escape') { e.preventDefault(); closeOverlay(); return; }
+  if (e.key !== 'Tab') return;
+  const items = focusables();
+  const first = items[0], last = items[items.length - 1];
+  const inside = overlay.contains(document.activeElement);
+  if (e.shiftKey && (!inside || document.activeElement === first)) { e.preventDefault(); last.focus(); }
+  else if (!e.shiftKey && (!inside || document.activeElement === last)) { e.preventDefault(); first.focus(); }
+});
+</script>
+</body>
+</html>`;
+}
+
+// Public view of the registry for main.js (/api/public/links): enabled entries,
+// display fields only - never the target URL.
+function publicLinks(links) {
+  return links
+    .filter(l => l.enabled)
+    .map(l => ({ key: l.key, label: l.label, badge: l.badge, category: l.category }));
+}
+
+// Caches the rendered page (per language) and public list; a 'change' from the registry
+// (or from the health checker, when it hides unhealthy keys) drops both, and so does the
+// next expiresAt.
+function createPortal(store, { health } = {}) {
+  let cachedHtml = {};
+  let cachedLinks = null;
+  let staleAt = Infinity;
+  const invalidate = () => { cachedHtml = {}; cachedLinks = null; };
+  const visible = () => {
+    const now = Date.now();
+    const list = store.list().filter(l => !l.unlisted && !linkState(l, now) && !(health && health.isHidden(l.key)));
+    staleAt = Math.min(Infinity, ...list.filter(l => l.expiresAt).map(l => Date.parse(l.expiresAt)));
+    return list;
+  };
+  const fresh = () => { if (Date.now() >= staleAt) { invalidate(); staleAt = Infinity; } };
+  store.on('change', invalidate);
+  if (health) health.on('change', invalidate);
+  return {
+    html(lang = DEFAULT_LANG) {
+      fresh();
+      if (!cachedHtml[lang]) cachedHtml[lang] = renderPage(visible(), lang);
+      return cachedHtml[lang];
+    },
+    links() {
+      fresh();
+      if (cachedLinks === null) cachedLinks = publicLinks(visible());
+      return cachedLinks;
+    }
+  };
+}
+
+module.exports = { escapeHtml, renderPage, publicLinks, createPortal };
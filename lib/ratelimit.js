@@ -0,0 +1,119 @@
+// lib/ratelimit.js
+// Token-bucket rate limiting with per-route policies, plus client-IP resolution that
+// only honors x-forwarded-for when the direct peer is a trusted proxy.
+//
+// A policy { limit, windowSec } is a bucket of `limit` tokens refilled at limit/windowSec
+// per second, so bursts up to `limit` are allowed and the long-run rate is limit/window.
+// Buckets that have refilled completely carry no state and are evicted by a periodic sweep.
+
+const net = require('net');
+
+class RateLimiter {
+  constructor({ policies, sweepIntervalMs = 60 * 1000, maxEntries = 100000 }) {
+    this.policies = policies;
+    this.maxEntries = maxEntries;
+    this.buckets = new Map(); // policy|id -> { tokens, updated }
+    this.timer = setInterval(() => this.sweep(), sweepIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // Takes one token. Returns the numbers needed for the RateLimit-* headers.
+  take(policyName, id, now = Date.now()) {
+    const policy = this.policies[policyName];
+    const rate = policy.limit / policy.windowSec; // tokens per second
+    const bucketId = policyName + '|' + id;
+    let b = this.buckets.get(bucketId);
+    if (!b) {
+      if (this.buckets.size >= this.maxEntries) this.buckets.delete(this.buckets.keys().next().value);
+      b = { tokens: policy.limit, updated: now };
+      this.buckets.set(bucketId, b);
+    } else {
+      b.tokens = Math.min(policy.limit, b.tokens + ((now - b.updated) / 1000) * rate);
+      b.updated = now;
+    }
+
+    const allowed = b.tokens >= 1;
+    if (allowed) b.tokens -= 1;
+    return {
+      allowed,
+      policy: policyName,
+      limit: policy.limit,
+      windowSec: policy.windowSec,
+      remaining: Math.floor(b.tokens),
+      resetSec: Math.ceil((policy.limit - b.tokens) / rate),
+      retryAfterSec: allowed ? 0 : Math.ceil((1 - b.tokens) / rate)
+    };
+  }
+
+  // Drops buckets that would be full by now (idle clients).
+  sweep(now = Date.now()) {
+    for (const [bucketId, b] of this.buckets) {
+      const policy = this.policies[bucketId.slice(0, bucketId.indexOf('|'))];
+      const rate = policy.limit / policy.windowSec;
+      if (b.tokens + ((now - b.updated) / 1000) * rate >= policy.limit) this.buckets.delete(bucketId);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+function setRateLimitHeaders(res, r) {
+  res.setHeader('RateLimit-Policy', r.limit + ';w=' + r.windowSec);
+  res.setHeader('RateLimit-Limit', String(r.limit));
+  res.setHeader('RateLimit-Remaining', String(r.remaining));
+  res.setHeader('RateLimit-Reset', String(r.resetSec));
+  if (!r.allowed) res.setHeader('Retry-After', String(r.retryAfterSec));
+}
+
+// --- Client IP ---
+function normalizeIp(ip) {
+  ip = String(ip || '').trim();
+  if (ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7))) return ip.slice(7);
+  return ip;
+}
+
+// Builds a matcher from "10.0.0.1, 10.1.0.0/16, ::1, loopback".
+function createTrustedProxies(list) {
+  const block = new net.BlockList();
+  let any = false;
+  list.forEach(entry => {
+    entry = entry.trim();
+    if (!entry) return;
+    if (entry === 'loopback') {
+      block.addSubnet('127.0.0.0', 8, 'ipv4');
+      block.addAddress('::1', 'ipv6');
+      any = true;
+      return;
+    }
+    const [addr, bits] = entry.split('/');
+    const family = net.isIPv4(addr) ? 'ipv4' : net.isIPv6(addr) ? 'ipv6' : null;
+    if (!family) throw new Error('invalid trusted proxy: ' + entry);
+    if (bits !== undefined) block.addSubnet(addr, Number(bits), family);
+    else block.addAddress(addr, family);
+    any = true;
+  });
+  return ip => {
+    if (!any) return false;
+    const family = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+    return family ? block.check(ip, family) : false;
+  };
+}
+
+// Walks x-forwarded-for right to left past trusted hops; the first untrusted address is
+// the client. Without a trusted peer the header is ignored, so it cannot be spoofed.
+function clientIp(req, isTrusted) {
+  let ip = normalizeIp(req.socket.remoteAddress);
+  if (!isTrusted(ip)) return ip;
+  const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(normalizeIp).filter(Boolean);
+  while (hops.length) {
+    const hop = hops.pop();
+    if (!net.isIP(hop)) break;
+    ip = hop;
+    if (!isTrusted(hop)) break;
+  }
+  return ip;
+}
+
+module.exports = { RateLimiter, setRateLimitHeaders, createTrustedProxies, clientIp, normalizeIp };
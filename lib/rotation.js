@@ -0,0 +1,52 @@
+// lib/rotation.js
+// Picks the destination for /r/:key when a link has several weighted targets.
+//  - sticky: the chosen target id is kept in an "ab_<key>" cookie, so a visitor keeps
+//    landing on the same mirror
+//  - weighted: new visitors get a target at random, proportional to `weight`
+//  - fallback: if the chosen target is unhealthy (lib/health.js), the next healthy
+//    target in list order is used instead
+
+const { targetsOf } = require('./links');
+
+const COOKIE_PREFIX = 'ab_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function weightedPick(targets, random = Math.random) {
+  const total = targets.reduce((sum, t) => sum + t.weight, 0);
+  if (total <= 0) return targets[0];
+  let r = random() * total;
+  for (const t of targets) {
+    r -= t.weight;
+    if (r < 0) return t;
+  }
+  return targets[targets.length - 1];
+}
+
+function createRotation({ health = null, maxAgeDays = 30, random = Math.random } = {}) {
+  const healthy = (link, t) => !health || health.isTargetHealthy(link.key, t.id);
+
+  // Returns { target, cookie } where cookie is a Set-Cookie value when the
+  // sticky choice changed (or null).
+  function choose(link, cookies) {
+    const targets = targetsOf(link);
+    const name = COOKIE_PREFIX + link.key;
+    let pick = targets.find(t => t.id === cookies[name] && t.weight > 0) || null;
+    if (!pick) pick = weightedPick(targets.filter(t => t.weight > 0 && healthy(link, t)), random) || weightedPick(targets, random);
+
+    if (!healthy(link, pick)) {
+      const start = targets.indexOf(pick);
+      for (let i = 1; i < targets.length; i++) {
+        const next = targets[(start + i) % targets.length];
+        if (next.weight > 0 && healthy(link, next)) { pick = next; break; }
+      }
+    }
+
+    if (targets.length < 2 || cookies[name] === pick.id) return { target: pick, cookie: null };
+    const cookie = name + '=' + encodeURIComponent(pick.id) + '; Path=/r/; Max-Age=' + Math.floor(maxAgeDays * DAY_MS / 1000) + '; HttpOnly; SameSite=Lax';
+    return { target: pick, cookie };
+  }
+
+  return { choose };
+}
+
+module.exports = { weightedPick, createRotation };
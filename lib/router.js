@@ -0,0 +1,91 @@
+// lib/router.js
+// Minimal router for server.js. Patterns are matched against the URL pathname:
+//   '/r/:key'         one segment, decoded, as params.key (a trailing slash is allowed)
+//   '/img/:key.svg'   params may share a segment with literal text
+//   '/api/links/*'    the rest of the path (possibly empty) as params['*']
+// Routes are tried in order; the first match whose method fits wins.
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compile(pattern) {
+  const names = [];
+  let source = '';
+  let rest = false;
+  let p = pattern;
+  if (p.endsWith('/*')) {
+    rest = true;
+    p = p.slice(0, -2);
+  }
+  const re = /:([A-Za-z_]\w*)/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(p))) {
+    source += escapeRegExp(p.slice(last, m.index)) + '([^/]+)';
+    names.push(m[1]);
+    last = re.lastIndex;
+  }
+  source += escapeRegExp(p.slice(last));
+  if (rest) {
+    names.push('*');
+    source += '(?:/(.*))?';
+  } else if (p !== '/') {
+    source += '/?';
+  }
+  return { regex: new RegExp('^' + source + '$'), names };
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    const err = new Error('malformed path');
+    err.status = 400;
+    throw err;
+  }
+}
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  // `methods`: 'GET', ['GET', 'POST'] or '*'. GET routes also answer HEAD.
+  add(methods, pattern, handler) {
+    const list = methods === '*' ? null : [].concat(methods);
+    if (list && list.includes('GET') && !list.includes('HEAD')) list.push('HEAD');
+    this.routes.push(Object.assign({ methods: list, pattern, handler }, compile(pattern)));
+    return this;
+  }
+
+  get(pattern, handler) {
+    return this.add('GET', pattern, handler);
+  }
+
+  all(pattern, handler) {
+    return this.add('*', pattern, handler);
+  }
+
+  // { handler, params } for the first route that fits, or { allow: [...] } when only the
+  // method was wrong, or null.
+  match(method, pathname) {
+    const allow = new Set();
+    for (const route of this.routes) {
+      const m = route.regex.exec(pathname);
+      if (!m) continue;
+      if (route.methods && !route.methods.includes(method)) {
+        route.methods.forEach(x => allow.add(x));
+        continue;
+      }
+      const params = {};
+      route.names.forEach((name, i) => {
+        params[name] = name === '*' ? m[i + 1] || '' : decodeParam(m[i + 1]);
+      });
+      return { handler: route.handler, params };
+    }
+    return allow.size ? { allow: [...allow] } : null;
+  }
+}
+
+module.exports = { Router };
@@ -0,0 +1,137 @@
+// lib/static.js
+// Static files from public/ (main.js, style.css, index.html, ...).
+//  - paths are resolved inside the root only: "..", encoded slashes, NUL bytes and
+//    dotfiles are refused, and symlinks pointing outside the root are not followed
+//  - Content-Type from the extension, ETag + Last-Modified with 304 revalidation
+//  - text assets are compressed (br or gzip, per Accept-Encoding) once per file
+//    version and kept in memory
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { setSecurityHeaders } = require('./http');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.mp3': 'audio/mpeg',
+  '.webmanifest': 'application/manifest+json'
+};
+const COMPRESSIBLE = /^(text\/|application\/(json|manifest\+json)|image\/svg\+xml)/;
+const MIN_COMPRESS_BYTES = 1024;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// 'br', 'gzip' or null, honoring q=0.
+function pickEncoding(header) {
+  const accepted = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    if (name) accepted[name] = q ? Number(q.slice(2)) || 0 : 1;
+  });
+  if (accepted.br > 0) return 'br';
+  if (accepted.gzip > 0) return 'gzip';
+  return null;
+}
+
+// Resolves a URL path ('/css/site.css') inside `root`, or null when it would escape it.
+function resolveInside(root, urlPath) {
+  let decoded;
+  try { decoded = decodeURIComponent(urlPath); } catch (e) { return null; }
+  if (decoded.includes('\0') || decoded.includes('\\')) return null;
+  const segments = decoded.split('/').filter(Boolean);
+  if (segments.some(s => s === '..' || s.startsWith('.'))) return null;
+  const file = path.resolve(root, ...segments);
+  if (file !== root && !file.startsWith(root + path.sep)) return null;
+  return file;
+}
+
+function createStatic({ root, maxAgeSec = 3600, index = 'index.html' }) {
+  root = path.resolve(root);
+  let realRoot = root;
+  try { realRoot = fs.realpathSync(root); } catch (e) { /* checked per request */ }
+  const compressed = new Map(); // file|etag|encoding -> Buffer
+
+  function compress(file, etag, encoding, body) {
+    const id = file + '|' + etag + '|' + encoding;
+    let out = compressed.get(id);
+    if (!out) {
+      out = encoding === 'br'
+        ? zlib.brotliCompressSync(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } })
+        : zlib.gzipSync(body, { level: 9 });
+      // drop older versions of the same file
+      for (const k of compressed.keys()) if (k.startsWith(file + '|') && !k.startsWith(file + '|' + etag + '|')) compressed.delete(k);
+      compressed.set(id, out);
+    }
+    return out;
+  }
+
+  // Serves the file for `urlPath` and returns true, or returns false when there is
+  // nothing to serve (the caller answers 404).
+  return function serveStatic(req, res, urlPath) {
+    let file = resolveInside(root, urlPath);
+    if (!file) return false;
+    let stat;
+    try {
+      stat = fs.statSync(file);
+      if (stat.isDirectory()) {
+        file = path.join(file, index);
+        stat = fs.statSync(file);
+      }
+      const real = fs.realpathSync(file);
+      if (!real.startsWith(realRoot + path.sep)) return false;
+    } catch (e) {
+      return false;
+    }
+    if (!stat.isFile() || stat.size > MAX_FILE_BYTES) return false;
+
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    const etag = '"' + crypto.createHash('sha1').update(stat.size + '-' + stat.mtimeMs).digest('base64url').slice(0, 16) + '"';
+    const lastModified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000);
+
+    setSecurityHeaders(res);
+    res.setHeader('Cache-Control', 'public, max-age=' + maxAgeSec);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    const compressible = COMPRESSIBLE.test(type) && stat.size >= MIN_COMPRESS_BYTES;
+    if (compressible) res.setHeader('Vary', 'Accept-Encoding');
+
+    const inm = req.headers['if-none-match'];
+    const ims = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = inm
+      ? inm.split(',').map(s => s.trim().replace(/^W\//, '')).includes(etag)
+      : !isNaN(ims) && lastModified.getTime() <= ims;
+    if (notModified) {
+      res.statusCode = 304;
+      res.end();
+      return true;
+    }
+
+    let body = fs.readFileSync(file);
+    const encoding = compressible ? pickEncoding(req.headers['accept-encoding']) : null;
+    if (encoding) {
+      body = compress(file, etag, encoding, body);
+      res.setHeader('Content-Encoding', encoding);
+    }
+    res.statusCode = 200;
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Length', body.length);
+    res.end(req.method === 'HEAD' ? undefined : body);
+    return true;
+  };
+}
+
+module.exports = { MIME_TYPES, pickEncoding, resolveInside, createStatic };
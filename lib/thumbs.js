@@ -0,0 +1,119 @@
+// lib/thumbs.js
+// Card thumbnails served from /img/:key.svg, generated locally so the page works
+// offline and under the CSP (img-src 'self' data:).
+//  - default: an SVG badge with the link's label on a color derived from the key,
+//    so a card always gets the same color
+//  - logo: an operator-uploaded PNG/JPEG/WebP (PUT /api/links/:key/logo) stored in
+//    LOGO_DIR and embedded into the SVG as a data: URI
+// Rendered SVGs are cached with an ETag until the registry or the logo changes.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SIZE = 160;
+const MAX_LOGO_BYTES = 256 * 1024;
+const PALETTE = ['6A5ACD', '8B5CF6', '7c3aed', 'f59e0b', '059669', 'ef4444', '60A5FA', 'F97316', '374151', 'b34bff'];
+
+// Recognized by magic bytes; the client's Content-Type is not trusted.
+const LOGO_TYPES = [
+  { ext: 'png', mime: 'image/png', test: b => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+  { ext: 'jpg', mime: 'image/jpeg', test: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'webp', mime: 'image/webp', test: b => b.length > 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function colorFor(key) {
+  const n = crypto.createHash('sha1').update(String(key)).digest().readUInt32BE(0);
+  return '#' + PALETTE[n % PALETTE.length];
+}
+
+// Shrinks the font for long labels so they stay inside the square.
+function renderBadge(link) {
+  const label = link.label;
+  const fontSize = Math.max(14, Math.min(44, Math.floor(240 / Math.max(3, [...label].length))));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}" role="img" aria-label="${escapeXml(label)}">
+<rect width="${SIZE}" height="${SIZE}" rx="16" fill="${colorFor(link.key)}"/>
+<rect width="${SIZE}" height="${SIZE}" rx="16" fill="url(#shine)"/>
+<defs><linearGradient id="shine" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#fff" stop-opacity="0.18"/><stop offset="1" stop-color="#000" stop-opacity="0.18"/></linearGradient></defs>
+<text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="Kanit, 'Segoe UI', sans-serif" font-weight="800" font-size="${fontSize}" fill="#fff">${escapeXml(label)}</text>
+</svg>
+`;
+}
+
+function renderLogo(link, logo) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}" role="img" aria-label="${escapeXml(link.label)}">
+<rect width="${SIZE}" height="${SIZE}" rx="16" fill="${colorFor(link.key)}"/>
+<image href="data:${logo.mime};base64,${logo.data.toString('base64')}" width="${SIZE}" height="${SIZE}" preserveAspectRatio="xMidYMid slice"/>
+</svg>
+`;
+}
+
+function createThumbs({ links, dir }) {
+  const cache = new Map(); // key -> { body, etag }
+  links.on('change', () => cache.clear());
+
+  function findLogo(key) {
+    for (const type of LOGO_TYPES) {
+      const file = path.join(dir, key + '.' + type.ext);
+      try {
+        return { mime: type.mime, data: fs.readFileSync(file) };
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.error('thumbs: cannot read', file + ':', e.message);
+      }
+    }
+    return null;
+  }
+
+  function removeFiles(key) {
+    LOGO_TYPES.forEach(type => fs.rmSync(path.join(dir, key + '.' + type.ext), { force: true }));
+  }
+
+  return {
+    // { body, etag } for an enabled key, or null.
+    svg(key) {
+      const link = links.get(key);
+      if (!link || !link.enabled) return null;
+      let entry = cache.get(key);
+      if (!entry) {
+        const logo = findLogo(key);
+        const body = logo ? renderLogo(link, logo) : renderBadge(link);
+        entry = { body, etag: '"' + crypto.createHash('sha1').update(body).digest('base64url') + '"' };
+        cache.set(key, entry);
+      }
+      return entry;
+    },
+
+    // Replaces the key's logo. Errors carry err.status for the admin API.
+    saveLogo(key, data) {
+      const type = LOGO_TYPES.find(t => t.test(data));
+      if (!type) {
+        const err = new Error('logo must be a PNG, JPEG or WebP image');
+        err.status = 415;
+        throw err;
+      }
+      fs.mkdirSync(dir, { recursive: true });
+      removeFiles(key);
+      const file = path.join(dir, key + '.' + type.ext);
+      fs.writeFileSync(file + '.tmp', data);
+      fs.renameSync(file + '.tmp', file);
+      cache.delete(key);
+      return { key, type: type.mime, bytes: data.length };
+    },
+
+    removeLogo(key) {
+      removeFiles(key);
+      cache.delete(key);
+    }
+  };
+}
+
+module.exports = { MAX_LOGO_BYTES, colorFor, renderBadge, createThumbs };
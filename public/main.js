@@ -0,0 +1,348 @@
+/* main.js — frontend logic for demo aggregator */
+
+/* ------------ Data (from the server) ------------ */
+/* Keys and labels only: destinations stay on the server and every
+   navigation goes through /r/:key (same as the server-rendered page).
+   UI text comes from the server's message catalog (lib/i18n.js) in the
+   visitor's language; ?lang=th|en on this page switches it. */
+const LINKS_ENDPOINT = '/api/public/links';
+const LANGS = { th: 'ไทย', en: 'English' };
+let GAMES = [];   // [{key, label, badge}]
+let SOCIALS = []; // [{key, label, badge}]
+let MESSAGES = {}; // 'main.*' catalog entries
+let LANG = 'th';
+const linksReady = loadLinks();
+
+async function loadLinks(){
+  try{
+    const lang = new URLSearchParams(window.location.search).get('lang');
+    const res = await fetch(LINKS_ENDPOINT + (lang ? '?lang=' + encodeURIComponent(lang) : ''), { headers: { 'Accept': 'application/json' } });
+    if(!res.ok) throw new Error('HTTP ' + res.status);
+    const data = await res.json();
+    GAMES = data.links.filter(l => l.category === 'game');
+    SOCIALS = data.links.filter(l => l.category === 'social');
+    MESSAGES = data.messages || {};
+    LANG = data.lang || LANG;
+    document.documentElement.lang = LANG;
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    document.querySelectorAll('[data-i18n-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nLabel)); });
+    renderLangSwitch();
+  }catch(e){ console.warn('failed to load links', e); }
+}
+
+/* message lookup; falls back to the key so missing text is visible */
+function t(key){ return MESSAGES[key] || key; }
+
+/* language switcher in the page header (reloads with ?lang=) */
+function renderLangSwitch(){
+  const header = document.querySelector('header, .header');
+  if(!header || header.querySelector('.lang-switch')) return;
+  const nav = document.createElement('nav');
+  nav.className = 'lang-switch';
+  Object.keys(LANGS).forEach(code => {
+    const a = document.createElement('a');
+    a.href = '?lang=' + code;
+    a.lang = code;
+    a.hreflang = code;
+    a.textContent = LANGS[code];
+    if(code === LANG) a.setAttribute('aria-current', 'true');
+    nav.appendChild(a);
+  });
+  header.appendChild(nav);
+}
+
+function redirectUrl(key){ return '/r/' + encodeURIComponent(key); }
+/* thumbnails are generated by the server (label badge or uploaded logo) */
+function thumbUrl(key){ return '/img/' + encodeURIComponent(key) + '.svg'; }
+
+/* ------------ UI refs ------------ */
+const btnAnalyze = document.getElementById('btnAnalyze');
+const btnSites = document.getElementById('btnSites');
+const btnSocial = document.getElementById('btnSocial');
+const overlay = document.getElementById('overlay');
+const ovTitle = document.getElementById('ovTitle');
+const ovGrid = document.getElementById('ovGrid');
+const btnBack = document.getElementById('btnBack');
+
+const scanOverlay = document.getElementById('scanOverlay');
+const scanThumb = document.getElementById('scanThumb');
+const scanName = document.getElementById('scanName');
+const scanHint = document.getElementById('scanHint');
+const scanPct = document.getElementById('scanPct');
+const scanDetails = document.getElementById('scanDetails');
+const openSiteBtn = document.getElementById('openSiteBtn');
+const closeScanBtn = document.getElementById('closeScanBtn');
+const visual = document.getElementById('visual');
+const sweep = document.getElementById('sweep');
+const btnMute = document.getElementById('btnMute');
+
+let currentPick = [];
+let currentGame = null;
+let scanRunning = false;
+
+/* ------------ Preferences ------------ */
+/* mute is shared with the portal page (same localStorage key); storage may be
+   unavailable (private mode), so failures just mean "not remembered" */
+const MUTE_KEY = 'tuatueng.muted';
+let muted = readMuted();
+function readMuted(){ try{ return localStorage.getItem(MUTE_KEY) === '1'; }catch(e){ return false; } }
+function setMuted(value){
+  muted = value;
+  try{ value ? localStorage.setItem(MUTE_KEY, '1') : localStorage.removeItem(MUTE_KEY); }catch(e){}
+  renderMute();
+}
+/* the button keeps its label; aria-pressed carries the state (styled in style.css) */
+function renderMute(){ btnMute.setAttribute('aria-pressed', String(muted)); }
+
+/* honour the OS "reduce motion" setting for the scan animation (style.css covers the rest) */
+const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : { matches: false };
+
+/* ------------ Event binding ------------ */
+btnSites.addEventListener('click', ()=> openList('games'));
+btnSocial.addEventListener('click', ()=> openList('social'));
+btnAnalyze.addEventListener('click', ()=> analyzePick());
+btnBack.addEventListener('click', ()=> closeOverlay());
+closeScanBtn.addEventListener('click', ()=> closeScan());
+btnMute.addEventListener('click', ()=> setMuted(!muted));
+activatable(visual, ()=> startScan());
+renderMute();
+
+/* ------------ Dialogs ------------ */
+/* overlay and scanOverlay are modal dialogs (role="dialog" in index.html). Opening one
+   remembers the focused element and moves focus inside; Tab and Shift+Tab cycle within
+   the top dialog, Escape closes it and focus returns to where it was. */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const openDialogs = []; // [{ el, returnFocus }], top last
+
+function focusablesIn(el){ return [...el.querySelectorAll(FOCUSABLE)]; }
+
+function showDialog(el){
+  if(!openDialogs.some(d => d.el === el)) openDialogs.push({ el, returnFocus: document.activeElement });
+  el.classList.add('show');
+  el.setAttribute('aria-hidden', 'false');
+  const first = focusablesIn(el)[0];
+  if(first) first.focus();
+}
+
+function hideDialog(el){
+  el.classList.remove('show');
+  el.setAttribute('aria-hidden', 'true');
+  const i = openDialogs.findIndex(d => d.el === el);
+  if(i < 0) return;
+  const { returnFocus } = openDialogs.splice(i, 1)[0];
+  if(returnFocus && document.contains(returnFocus)) returnFocus.focus();
+}
+
+document.addEventListener('keydown', e => {
+  const top = openDialogs[openDialogs.length - 1];
+  if(!top) return;
+  if(e.key === 'Escape'){
+    e.preventDefault();
+    if(top.el === scanOverlay) closeScan(); else closeOverlay();
+    return;
+  }
+  if(e.key !== 'Tab') return;
+  const items = focusablesIn(top.el);
+  if(!items.length){ e.preventDefault(); return; }
+  const first = items[0], last = items[items.length - 1];
+  const inside = top.el.contains(document.activeElement);
+  if(e.shiftKey && (!inside || document.activeElement === first)){ e.preventDefault(); last.focus(); }
+  else if(!e.shiftKey && (!inside || document.activeElement === last)){ e.preventDefault(); first.focus(); }
+});
+
+/* makes a non-button element work like one from the keyboard (Enter / Space) */
+function activatable(el, action, role = 'button'){
+  el.setAttribute('role', role);
+  el.tabIndex = 0;
+  el.addEventListener('click', action);
+  el.addEventListener('keydown', e => {
+    if(e.target !== el) return;
+    if(e.key === 'Enter' || (e.key === ' ' && role === 'button')){ e.preventDefault(); action(e); }
+  });
+}
+
+/* overlay open/close */
+async function openList(type){
+  await linksReady;
+  ovGrid.innerHTML = '';
+  ovTitle.textContent = t((type === 'games') ? 'main.gamesTitle' : 'main.socialsTitle');
+  if(type === 'games'){
+    GAMES.forEach(link => ovGrid.appendChild(makeCard(link, false)));
+  } else {
+    SOCIALS.forEach(s => ovGrid.appendChild(makeSocialCard(s)));
+  }
+  showDialog(overlay);
+}
+function closeOverlay(){ hideDialog(overlay); }
+
+/* make card for games. The whole card is the control (a link, or a button for
+   random picks) so it is one Tab stop; the "action" label is only a visual cue. */
+function makeCard(link, isAnalyze){
+  const el = document.createElement('div');
+  el.className = 'card';
+  el.dataset.key = link.key;
+  const img = thumbUrl(link.key);
+  el.innerHTML = `
+    <img class="thumb" src="${img}" alt="">
+    <div class="meta"><div class="name">${escapeHtml(link.label)}</div><div class="desc">${escapeHtml(t(isAnalyze ? 'main.pickHint' : 'main.cardHint'))}</div></div>
+    <div style="display:flex;flex-direction:column;align-items:flex-end;gap:8px">
+      <div class="badge">${escapeHtml(isAnalyze ? t('main.pickBadge') : link.badge)}</div>
+      <div><span class="action" aria-hidden="true">${escapeHtml(t(isAnalyze ? 'main.pickAction' : 'main.cardAction'))}</span></div>
+    </div>`;
+  el.setAttribute('aria-label', link.label);
+  if(isAnalyze){
+    const wrapper = document.createElement('div');
+    wrapper.className = 'glow-frame active';
+    wrapper.appendChild(el);
+    activatable(el, ()=> openScannerFromPick(link));
+    wrapper.addEventListener('click', e=>{ if(e.target === wrapper) openScannerFromPick(link); });
+    return wrapper;
+  } else {
+    activatable(el, ()=> openMappedLink(link.key), 'link');
+    return el;
+  }
+}
+
+/* social card maker (same structure as makeCard) */
+function makeSocialCard(s){
+  const el = document.createElement('div');
+  el.className = 'card';
+  el.dataset.key = s.key;
+  const img = thumbUrl(s.key);
+  el.innerHTML = `
+    <img class="thumb" src="${img}" alt="">
+    <div class="meta"><div class="name">${escapeHtml(s.label)}</div><div class="desc">${escapeHtml(t('main.socialHint'))}</div></div>
+    <div style="display:flex;flex-direction:column;align-items:flex-end;gap:8px">
+      <div class="badge">${escapeHtml(s.badge)}</div>
+      <div><span class="action" aria-hidden="true">${escapeHtml(t('main.socialAction'))}</span></div>
+    </div>`;
+  el.setAttribute('aria-label', s.label);
+  activatable(el, ()=> openMappedLink(s.key), 'link');
+  return el;
+}
+
+/* random pick: choose 3 unique games at random (entertainment only, no analysis) */
+async function analyzePick(){
+  await linksReady;
+  const pool = [...GAMES];
+  const pick = [];
+  while(pick.length < 3 && pool.length){
+    const i = Math.floor(Math.random()*pool.length);
+    pick.push(pool.splice(i,1)[0]);
+  }
+  currentPick = pick;
+  renderAnalyze(pick);
+}
+
+/* render random picks in overlay */
+function renderAnalyze(pick){
+  ovTitle.textContent = t('main.pickTitle');
+  ovGrid.innerHTML = '';
+  const top = document.createElement('div');
+  top.style.display='flex'; top.style.justifyContent='space-between'; top.style.alignItems='center'; top.style.marginBottom='12px';
+  top.innerHTML = `<div><button class="back" onclick="closeOverlay()">${escapeHtml(t('main.back'))}</button></div>
+  <div style="display:flex;gap:10px">
+    <button class="back" onclick="analyzePick()">${escapeHtml(t('main.reroll'))}</button>
+    <button class="back" onclick="closeOverlay()">${escapeHtml(t('main.close'))}</button>
+  </div>`;
+  ovGrid.appendChild(top);
+  ovGrid.appendChild(makeDisclaimer());
+
+  const wrap = document.createElement('div');
+  wrap.className = 'analyze-wrap';
+  pick.forEach(link=> wrap.appendChild(makeCard(link, true)));
+  ovGrid.appendChild(wrap);
+  showDialog(overlay);
+}
+
+/* open scanner overlay for selected pick */
+function openScannerFromPick(link){
+  currentGame = link;
+  scanThumb.src = thumbUrl(link.key);
+  scanName.textContent = link.label;
+  scanHint.textContent = t('main.scanHint');
+  scanPct.textContent = '🎲';
+  scanDetails.innerHTML = '';
+  ensureScanDisclaimer();
+  openSiteBtn.onclick = ()=> openMappedLink(link.key);
+  scanRunning = false;
+  showDialog(scanOverlay);
+}
+
+/* start "scan" animation (user tap visual): a slot-style shuffle of game
+   names that lands on the current pick. Purely visual; no numbers are shown. */
+function startScan(){
+  if(scanRunning || !currentGame) return;
+  scanRunning = true;
+  scanHint.textContent = t('main.scanning');
+  playScanSound();
+  if(reducedMotion.matches){ revealScan(); return; } // no sweep or name shuffle
+  if(sweep){ sweep.style.transition = 'transform 2s linear'; sweep.style.transform = 'rotate(720deg)'; }
+  const names = GAMES.length ? GAMES.map(g => g.label) : [currentGame.label];
+  const duration = random(1200,2400);
+  const start = performance.now();
+  let last = -1;
+  function step(now){
+    const t = Math.min(1,(now-start)/duration);
+    const tick = Math.floor(Math.pow(t,0.5) * 24); // slows down towards the end
+    if(tick !== last){ last = tick; scanPct.textContent = names[Math.floor(Math.random()*names.length)]; }
+    if(t < 1) requestAnimationFrame(step);
+    else revealScan();
+  }
+  requestAnimationFrame(step);
+}
+
+/* reveal the pick with the disclaimer (no metrics) */
+function revealScan(){
+  if(!currentGame) return;
+  scanPct.textContent = currentGame.label;
+  scanHint.textContent = t('main.scanDone');
+  const key = currentGame.key;
+  openSiteBtn.onclick = ()=> openMappedLink(key);
+  scanRunning = false;
+}
+
+/* entertainment-only disclaimer shown with every random pick */
+function makeDisclaimer(){
+  const p = document.createElement('p');
+  p.className = 'disclaimer';
+  p.setAttribute('role', 'note');
+  p.textContent = t('main.disclaimer');
+  return p;
+}
+/* fixed notice inside the scan overlay, added once */
+function ensureScanDisclaimer(){
+  const box = scanOverlay.querySelector('.scan-box') || scanOverlay;
+  if(box.querySelector('.disclaimer.fixed')) return;
+  const p = makeDisclaimer();
+  p.classList.add('fixed');
+  box.appendChild(p);
+}
+
+/* open mapped link (same tab) via the server redirect */
+function openMappedLink(key){
+  if(!key){ alert(t('main.unavailable')); return; }
+  window.location.href = redirectUrl(key);
+}
+
+/* close scan overlay */
+function closeScan(){ hideDialog(scanOverlay); scanRunning=false; currentGame=null }
+
+/* helpers */
+function escapeHtml(s){ return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;') }
+function random(min,max){ return Math.floor(Math.random()*(max-min+1))+min }
+
+/* small scan sound */
+let ac;
+function playScanSound(){
+  if(muted) return;
+  try{
+    if(!ac) ac = new (window.AudioContext || window.webkitAudioContext)();
+    const o = ac.createOscillator(); const g = ac.createGain();
+    o.type='sine'; o.frequency.value=880; g.gain.value=0.0001;
+    o.connect(g); g.connect(ac.destination); o.start();
+    g.gain.exponentialRampToValueAtTime(0.06, ac.currentTime + 0.02);
+    setTimeout(()=>{ g.gain.exponentialRampToValueAtTime(0.0001, ac.currentTime + 0.16); o.stop(ac.currentTime + 0.17); }, 160);
+  }catch(e){ /* may be blocked by autoplay */ }
+}
+
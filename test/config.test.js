@@ -0,0 +1,51 @@
+// test/config.test.js
+// loadConfig: defaults, file and env layering, and one Error listing every problem.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+describe('loadConfig', () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuatueng-config-')); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function withFile(doc, env = {}) {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(doc));
+    return loadConfig({ baseDir: dir, env: Object.assign({ CONFIG_FILE: file }, env) });
+  }
+
+  function errorsOf(fn) {
+    try {
+      fn();
+    } catch (err) {
+      assert.ok(Array.isArray(err.errors), 'expected a config error, got: ' + err.stack);
+      return err.errors;
+    }
+    assert.fail('expected loadConfig to throw');
+  }
+
+  test('defaults, then the file, then the environment', () => {
+    const config = withFile({ port: 4000, rateLimits: { api: { limit: 5, windowSec: 10 } }, dataFile: 'links.json' }, { PORT: '5000' });
+    assert.equal(config.port, 5000);
+    assert.deepEqual(config.rateLimits.api, { limit: 5, windowSec: 10 });
+    assert.deepEqual(config.rateLimits.redirect, { limit: 30, windowSec: 60 });
+    assert.equal(config.dataFile, path.join(dir, 'links.json'));
+    assert.equal(config.host, '0.0.0.0');
+  });
+
+  test('null sections are reported, not thrown as TypeErrors', () => {
+    const errors = errorsOf(() => withFile({ ageGate: null, health: null, rateLimits: null }, { HEALTH_CHECK_INTERVAL_MIN: '5', RATE_LIMIT_API: '1/1' }));
+    assert.deepEqual(errors, ['rateLimits must be an object', 'ageGate must be an object', 'health must be an object']);
+  });
+
+  test('every problem is listed at once', () => {
+    const errors = errorsOf(() => withFile({ prot: 1, port: 'x' }, { COOKIE_SECRET: 'short', RATE_LIMIT_REDIRECT: '0/60' }));
+    assert.equal(errors.length, 4);
+    assert.ok(errors.includes('prot is not a known setting'));
+  });
+});
@@ -0,0 +1,196 @@
+// test/health.test.js
+// lib/health.js against a local stub HTTP server (no outside network).
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkUrl, HealthChecker } = require('../lib/health');
+
+let base; // http://127.0.0.1:<port>
+let port;
+let flakyStatus = 200; // what /flaky answers, set per test
+const seen = []; // "METHOD /path" of every stub request
+
+const server = http.createServer((req, res) => {
+  seen.push(req.method + ' ' + req.url);
+  const redirect = (status, location) => { res.writeHead(status, { Location: location }); res.end(); };
+  switch (req.url) {
+    case '/ok': res.writeHead(200); return res.end('ok');
+    case '/hop1': return redirect(302, '/hop2');
+    case '/hop2': return redirect(301, base + '/ok');
+    case '/moved': return redirect(302, 'http://localhost:' + port + '/ok'); // same server, other host name
+    case '/loop': return redirect(302, '/loop');
+    case '/no-head':
+      if (req.method === 'HEAD') { res.writeHead(405); return res.end(); }
+      res.writeHead(200);
+      return res.end('ok');
+    case '/slow': return; // never answers
+    case '/flaky': res.writeHead(flakyStatus); return res.end();
+    default: res.writeHead(404); return res.end();
+  }
+});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  port = server.address().port;
+  base = 'http://127.0.0.1:' + port;
+  resolve();
+})));
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+describe('checkUrl', () => {
+  test('a plain 200 is ok and unchanged', async () => {
+    const r = await checkUrl(base + '/ok');
+    assert.equal(r.ok, true);
+    assert.equal(r.status, 200);
+    assert.equal(r.changed, false);
+    assert.equal(r.error, null);
+    assert.deepEqual(r.chain, [{ url: base + '/ok', status: 200 }]);
+  });
+
+  test('follows a redirect chain and records every hop', async () => {
+    const r = await checkUrl(base + '/hop1');
+    assert.equal(r.ok, true);
+    assert.equal(r.finalUrl, base + '/ok');
+    assert.deepEqual(r.chain.map(h => h.status), [302, 301, 200]);
+    assert.equal(r.changed, false);
+  });
+
+  test('flags a chain that ends on another host as changed', async () => {
+    const r = await checkUrl(base + '/moved');
+    assert.equal(r.ok, true);
+    assert.equal(r.changed, true);
+    assert.equal(r.finalUrl, 'http://localhost:' + port + '/ok');
+  });
+
+  test('falls back to GET when HEAD is refused', async () => {
+    seen.length = 0;
+    const r = await checkUrl(base + '/no-head');
+    assert.equal(r.ok, true);
+    assert.equal(r.status, 200);
+    assert.deepEqual(seen, ['HEAD /no-head', 'GET /no-head']);
+  });
+
+  test('error statuses are not ok', async () => {
+    const r = await checkUrl(base + '/missing');
+    assert.equal(r.ok, false);
+    assert.equal(r.status, 404);
+    assert.equal(r.error, null);
+  });
+
+  test('gives up after the timeout', async () => {
+    const r = await checkUrl(base + '/slow', { timeoutMs: 200 });
+    assert.equal(r.ok, false);
+    assert.equal(r.status, 0);
+    assert.match(r.error, /timeout/);
+    assert.ok(r.latencyMs < 2000);
+  });
+
+  test('stops on a redirect loop', async () => {
+    const r = await checkUrl(base + '/loop', { maxRedirects: 3 });
+    assert.equal(r.ok, false);
+    assert.equal(r.error, 'too many redirects');
+    assert.equal(r.chain.length, 4);
+  });
+
+  test('reports a refused connection', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = 'http://127.0.0.1:' + closed.address().port + '/';
+    await new Promise(resolve => closed.close(resolve));
+    const r = await checkUrl(url);
+    assert.equal(r.ok, false);
+    assert.match(r.error, /ECONNREFUSED/);
+  });
+});
+
+describe('HealthChecker', () => {
+  // The parts of LinkStore the checker uses.
+  function fakeLinks(entries) {
+    return { list: () => entries.slice(), get: key => entries.find(l => l.key === key) || null };
+  }
+
+  function createChecker(options = {}) {
+    const links = fakeLinks([
+      { key: 'ok', label: 'OK', badge: 'OK', category: 'game', url: base + '/ok', enabled: true },
+      { key: 'flaky', label: 'Flaky', badge: 'F', category: 'game', url: base + '/flaky', enabled: true },
+      { key: 'off', label: 'Off', badge: 'X', category: 'game', url: base + '/missing', enabled: false }
+    ]);
+    const checker = new HealthChecker(Object.assign({ links, intervalMs: 0, failThreshold: 2, hideUnhealthy: true }, options));
+    let changes = 0;
+    checker.on('change', () => { changes++; });
+    return { checker, changes: () => changes };
+  }
+
+  test('a key turns unhealthy only after failThreshold failed runs', async () => {
+    flakyStatus = 500;
+    const { checker } = createChecker();
+    await checker.runOnce();
+    assert.equal(checker.isHealthy('flaky'), true);
+    assert.equal(checker.isHidden('flaky'), false);
+
+    await checker.runOnce();
+    assert.equal(checker.isHealthy('flaky'), false);
+    assert.equal(checker.isHidden('flaky'), true);
+    assert.equal(checker.isHidden('ok'), false);
+
+    flakyStatus = 200;
+    await checker.runOnce();
+    assert.equal(checker.isHealthy('flaky'), true);
+    assert.equal(checker.isHidden('flaky'), false);
+  });
+
+  test('emits change only when a key flips (the portal cache listens for it)', async () => {
+    flakyStatus = 500;
+    const { checker, changes } = createChecker();
+    await checker.runOnce();
+    assert.equal(changes(), 1); // first results
+    await checker.runOnce();
+    assert.equal(changes(), 2); // flaky went unhealthy
+    await checker.runOnce();
+    assert.equal(changes(), 2); // still unhealthy: nothing new
+    flakyStatus = 200;
+    await checker.runOnce();
+    assert.equal(changes(), 3); // recovered
+  });
+
+  test('isHidden stays false unless hideUnhealthy is on', async () => {
+    flakyStatus = 500;
+    const { checker } = createChecker({ hideUnhealthy: false, failThreshold: 1 });
+    await checker.runOnce();
+    assert.equal(checker.isHealthy('flaky'), false);
+    assert.equal(checker.isHidden('flaky'), false);
+  });
+
+  test('stop() right after start() cancels the first run too', () => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    try {
+      const { checker } = createChecker({ intervalMs: 60 * 1000 });
+      let runs = 0;
+      checker.runOnce = async () => { runs++; };
+      checker.start();
+      checker.stop();
+      mock.timers.tick(2 * 60 * 1000);
+      assert.equal(runs, 0);
+
+      checker.start();
+      mock.timers.tick(5000);
+      assert.equal(runs, 1);
+      checker.stop();
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  test('report covers enabled links only', async () => {
+    flakyStatus = 200;
+    const { checker } = createChecker();
+    const report = await checker.runOnce();
+    assert.deepEqual(report.results.map(r => r.key).sort(), ['flaky', 'ok']);
+    assert.equal(report.summary.checked, 2);
+    assert.equal(report.summary.unhealthy, 0);
+    assert.ok(report.lastRun);
+  });
+});
@@ -0,0 +1,102 @@
+// test/links.test.js
+// LinkStore against a temp data.json: admin writes must not lose entries that
+// failed validation (they stay in the file, untouched, for the operator to fix),
+// nor hand edits the file watcher has not picked up yet.
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLinkStore } = require('../lib/links');
+
+const GOOD = { key: 'g1', label: 'Game', badge: 'G', category: 'game', url: 'https://game.example/', enabled: true };
+const BAD = { key: 'bad', label: '', badge: 'B', category: 'game', url: 'https://bad.example/' };
+const GOOD2 = { key: 's1', label: 'Social', badge: 'S', category: 'social', url: 'https://social.example/', enabled: true };
+
+describe('LinkStore with rejected entries', () => {
+  let dir, file, store;
+  const onDisk = () => JSON.parse(fs.readFileSync(file, 'utf8')).links;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuatueng-links-'));
+    file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, JSON.stringify({ links: [GOOD, BAD, GOOD2] }));
+    const error = console.error;
+    console.error = () => {}; // "links: rejected ..." is expected here
+    try { store = createLinkStore(file); } finally { console.error = error; }
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('only valid entries are served', () => {
+    assert.deepEqual(store.keys(), ['g1', 's1']);
+  });
+
+  test('updates, reorders and removals write the rejected entry back in place', () => {
+    store.update('g1', { enabled: false });
+    assert.deepEqual(onDisk()[1], BAD);
+    assert.equal(onDisk()[0].enabled, false);
+
+    store.reorder(['s1', 'g1']);
+    assert.deepEqual(onDisk().map(l => l.key), ['s1', 'bad', 'g1']);
+
+    store.remove('s1');
+    store.remove('g1');
+    assert.deepEqual(onDisk(), [BAD]);
+  });
+
+  test('a new link cannot take the key of a rejected entry', () => {
+    assert.throws(() => store.add(Object.assign({}, GOOD, { key: 'bad' })), err => err.status === 409);
+    store.add(Object.assign({}, GOOD, { key: 'g2' }));
+    assert.deepEqual(onDisk().map(l => l.key), ['g1', 'bad', 's1', 'g2']);
+  });
+
+  test('fixing the entry on disk makes it a normal link', () => {
+    fs.writeFileSync(file, JSON.stringify({ links: [GOOD, Object.assign({}, BAD, { label: 'Fixed' }), GOOD2] }));
+    assert.ok(store.load());
+    assert.deepEqual(store.keys(), ['g1', 'bad', 's1']);
+    store.update('bad', { enabled: false });
+    assert.equal(onDisk().length, 3);
+  });
+});
+
+describe('LinkStore with hand edits', () => {
+  let dir, file, store;
+  const onDisk = () => JSON.parse(fs.readFileSync(file, 'utf8')).links;
+  const LIMITED = { key: 'p1', label: 'Promo', badge: 'P', category: 'game', url: 'https://promo.example/', enabled: true, maxUses: 5 };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuatueng-links-'));
+    file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, JSON.stringify({ links: [GOOD, LIMITED] }));
+    store = createLinkStore(file); // not watching: only writes see the edits
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('an admin write keeps an edit made since the last load', () => {
+    fs.writeFileSync(file, JSON.stringify({ links: [Object.assign({}, GOOD, { label: 'Edited' }), LIMITED, GOOD2] }));
+    store.update('p1', { enabled: false });
+    assert.deepEqual(onDisk().map(l => l.key), ['g1', 'p1', 's1']);
+    assert.equal(onDisk()[0].label, 'Edited');
+    assert.equal(store.get('s1').label, 'Social');
+  });
+
+  test('counting a use keeps an edit made since the last load', () => {
+    fs.writeFileSync(file, JSON.stringify({ links: [LIMITED, GOOD2] }));
+    assert.equal(store.consume('p1').uses, 1);
+    assert.deepEqual(onDisk().map(l => l.key), ['p1', 's1']);
+  });
+
+  test('a changed file that does not load is a 409 and stays as it is', () => {
+    fs.writeFileSync(file, '{ "links": [');
+    const error = console.error;
+    console.error = () => {}; // "links: invalid JSON ..." is expected here
+    try {
+      assert.throws(() => store.remove('g1'), err => err.status === 409);
+    } finally {
+      console.error = error;
+    }
+    assert.equal(fs.readFileSync(file, 'utf8'), '{ "links": [');
+    assert.deepEqual(store.keys(), ['g1', 'p1']);
+  });
+});
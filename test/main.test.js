@@ -0,0 +1,300 @@
+// test/main.test.js
+// Frontend tests: public/main.js running in jsdom on public/index.html, with
+// /api/public/links answered by a stub fetch (no network, no server).
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const HTML = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+const MAIN_JS = fs.readFileSync(path.join(PUBLIC_DIR, 'main.js'), 'utf8');
+
+const MESSAGES = {
+  'main.gamesTitle': 'All sites',
+  'main.socialsTitle': 'Social',
+  'main.pickTitle': 'Random pick',
+  'main.disclaimer': 'For entertainment only.',
+  'main.cardAction': 'Open'
+};
+
+function game(key, label) {
+  return { key, label: label || 'Game ' + key, badge: key.toUpperCase(), category: 'game' };
+}
+
+// Loads the page and main.js; `links` is what the server would return.
+// main.js runs as a classic <script> so its top-level let/const stay reachable
+// through window.eval(). Resolves once it has applied the link list.
+//   storage        localStorage entries present before the page loads
+//   reducedMotion  what matchMedia('(prefers-reduced-motion: reduce)') reports
+async function loadPage({ links = [], fail = false, storage = {}, reducedMotion = false } = {}) {
+  // swallows main.js warnings; jsdom reports location changes as "not implemented" errors
+  const virtualConsole = new VirtualConsole();
+  const navigations = [];
+  virtualConsole.on('jsdomError', err => { if (/navigation/.test(err.message)) navigations.push(err); });
+  const dom = new JSDOM(HTML, { url: 'http://localhost/?lang=en', runScripts: 'dangerously', virtualConsole });
+  const { window } = dom;
+  Object.entries(storage).forEach(([k, v]) => window.localStorage.setItem(k, v));
+  window.matchMedia = media => ({ media, matches: reducedMotion && media.includes('reduce') });
+  const requests = [];
+  window.fetch = async url => {
+    requests.push(String(url));
+    if (fail) return { ok: false, status: 500, json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => ({ lang: 'en', messages: MESSAGES, links }) };
+  };
+  const script = window.document.createElement('script');
+  script.textContent = MAIN_JS;
+  window.document.body.appendChild(script);
+  await window.eval('linksReady');
+  return { window, document: window.document, requests, navigations };
+}
+
+function press(window, target, key, options = {}) {
+  target.dispatchEvent(new window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options)));
+}
+
+const cardKeys = document => [...document.querySelectorAll('#ovGrid .card')].map(el => el.dataset.key);
+// Array.from() copies into this realm so deepEqual can compare with local arrays.
+const pickedKeys = window => Array.from(window.eval('currentPick'), link => link.key);
+
+describe('escapeHtml', () => {
+  test('escapes markup and both quote styles', async () => {
+    const { window } = await loadPage();
+    assert.equal(window.escapeHtml(`<img src="x" onerror='y'>&`), '&lt;img src=&quot;x&quot; onerror=&#39;y&#39;&gt;&amp;');
+  });
+
+  test('stringifies non-strings', async () => {
+    const { window } = await loadPage();
+    assert.equal(window.escapeHtml(42), '42');
+    assert.equal(window.escapeHtml(null), 'null');
+  });
+});
+
+describe('link loading', () => {
+  test('asks for the page language and fills data-i18n text', async () => {
+    const { document, requests } = await loadPage();
+    assert.deepEqual(requests, ['/api/public/links?lang=en']);
+    assert.equal(document.documentElement.lang, 'en');
+    assert.equal(document.getElementById('btnSites').textContent, 'main.sitesButton'); // missing keys stay visible
+    assert.equal(document.querySelectorAll('.lang-switch a').length, 2);
+  });
+
+  test('a failed request leaves empty lists', async () => {
+    const { window, document } = await loadPage({ links: [game('a')], fail: true });
+    await window.openList('games');
+    assert.deepEqual(cardKeys(document), []);
+  });
+});
+
+describe('openList', () => {
+  const links = [
+    game('g1', 'First <b>game</b>'),
+    game('g2'),
+    { key: 's1', label: 'Line', badge: 'LINE', category: 'social' }
+  ];
+
+  test('shows one card per game in the overlay', async () => {
+    const { window, document } = await loadPage({ links });
+    await window.openList('games');
+    assert.ok(document.getElementById('overlay').classList.contains('show'));
+    assert.equal(document.getElementById('ovTitle').textContent, 'All sites');
+    assert.deepEqual(cardKeys(document), ['g1', 'g2']);
+
+    const first = document.querySelector('#ovGrid .card');
+    assert.equal(first.querySelector('.name').textContent, 'First <b>game</b>');
+    assert.equal(first.querySelector('.name b'), null);
+    assert.equal(first.querySelector('img.thumb').getAttribute('src'), '/img/g1.svg');
+    assert.equal(first.querySelector('.action').textContent, 'Open');
+  });
+
+  test('shows the social links for "social"', async () => {
+    const { window, document } = await loadPage({ links });
+    await window.openList('social');
+    assert.equal(document.getElementById('ovTitle').textContent, 'Social');
+    assert.deepEqual(cardKeys(document), ['s1']);
+  });
+
+  test('replaces the previous list', async () => {
+    const { window, document } = await loadPage({ links });
+    await window.openList('games');
+    await window.openList('games');
+    assert.deepEqual(cardKeys(document), ['g1', 'g2']);
+  });
+
+  test('closeOverlay hides it again', async () => {
+    const { window, document } = await loadPage({ links });
+    await window.openList('games');
+    window.closeOverlay();
+    assert.ok(!document.getElementById('overlay').classList.contains('show'));
+  });
+});
+
+describe('analyzePick', () => {
+  const games = ['a', 'b', 'c', 'd', 'e', 'f'].map(k => game(k));
+
+  test('picks three different games', async () => {
+    const { window, document } = await loadPage({ links: games.concat({ key: 's1', label: 'Line', badge: 'L', category: 'social' }) });
+    for (let i = 0; i < 20; i++) {
+      await window.analyzePick();
+      const picked = pickedKeys(window);
+      assert.equal(picked.length, 3);
+      assert.equal(new Set(picked).size, 3);
+      assert.ok(picked.every(k => games.some(g => g.key === k)));
+      assert.deepEqual(cardKeys(document), picked);
+    }
+  });
+
+  test('renders the picks with the disclaimer in the overlay', async () => {
+    const { window, document } = await loadPage({ links: games });
+    await window.analyzePick();
+    assert.ok(document.getElementById('overlay').classList.contains('show'));
+    assert.equal(document.getElementById('ovTitle').textContent, 'Random pick');
+    assert.equal(document.querySelector('#ovGrid .disclaimer').textContent, 'For entertainment only.');
+    assert.equal(document.querySelectorAll('#ovGrid .analyze-wrap .glow-frame').length, 3);
+  });
+
+  test('uses every game when there are fewer than three', async () => {
+    const { window } = await loadPage({ links: games.slice(0, 2) });
+    await window.analyzePick();
+    assert.deepEqual(pickedKeys(window).sort(), ['a', 'b']);
+  });
+
+  test('clicking a pick opens the scanner for it', async () => {
+    const { window, document } = await loadPage({ links: games });
+    await window.analyzePick();
+    const frame = document.querySelector('#ovGrid .glow-frame');
+    const key = frame.querySelector('.card').dataset.key;
+    frame.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    assert.ok(document.getElementById('scanOverlay').classList.contains('show'));
+    assert.equal(document.getElementById('scanName').textContent, 'Game ' + key);
+    assert.equal(document.getElementById('scanThumb').getAttribute('src'), '/img/' + key + '.svg');
+  });
+});
+
+describe('dialogs', () => {
+  const games = ['a', 'b', 'c'].map(k => game(k));
+
+  test('opening moves focus into the dialog and closing restores it', async () => {
+    const { window, document } = await loadPage({ links: games });
+    const opener = document.getElementById('btnSites');
+    opener.focus();
+    opener.click();
+    await window.eval('linksReady');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const overlay = document.getElementById('overlay');
+    assert.equal(overlay.getAttribute('aria-hidden'), 'false');
+    assert.equal(document.activeElement, document.getElementById('btnBack'));
+
+    press(window, document.activeElement, 'Escape');
+    assert.ok(!overlay.classList.contains('show'));
+    assert.equal(overlay.getAttribute('aria-hidden'), 'true');
+    assert.equal(document.activeElement, opener);
+  });
+
+  test('Tab and Shift+Tab wrap around inside the top dialog', async () => {
+    const { window, document } = await loadPage({ links: games });
+    await window.openList('games');
+    const items = [...document.querySelectorAll('#overlay button, #overlay [tabindex="0"]')];
+    const first = items[0];
+    const last = items[items.length - 1];
+    assert.equal(first, document.getElementById('btnBack'));
+    assert.equal(last.dataset.key, 'c');
+
+    last.focus();
+    press(window, last, 'Tab');
+    assert.equal(document.activeElement, first);
+    press(window, first, 'Tab', { shiftKey: true });
+    assert.equal(document.activeElement, last);
+
+    document.body.focus();
+    press(window, document.body, 'Tab');
+    assert.equal(document.activeElement, first);
+  });
+
+  test('Escape closes only the scanner when it is on top of the list', async () => {
+    const { window, document } = await loadPage({ links: games });
+    await window.analyzePick();
+    const card = document.querySelector('#ovGrid .card');
+    card.focus();
+    press(window, card, 'Enter');
+    assert.ok(document.getElementById('scanOverlay').classList.contains('show'));
+    assert.ok(document.getElementById('scanOverlay').contains(document.activeElement));
+
+    press(window, document.activeElement, 'Escape');
+    assert.ok(!document.getElementById('scanOverlay').classList.contains('show'));
+    assert.ok(document.getElementById('overlay').classList.contains('show'));
+    assert.equal(document.activeElement, card);
+  });
+});
+
+describe('keyboard cards', () => {
+  const links = [game('g1'), { key: 's1', label: 'Line', badge: 'L', category: 'social' }];
+
+  test('list cards are focusable links named after the site', async () => {
+    const { window, document } = await loadPage({ links });
+    await window.openList('games');
+    const card = document.querySelector('#ovGrid .card');
+    assert.equal(card.getAttribute('role'), 'link');
+    assert.equal(card.tabIndex, 0);
+    assert.equal(card.getAttribute('aria-label'), 'Game g1');
+    assert.equal(card.querySelector('button'), null); // one control per card
+  });
+
+  test('Enter on a card follows it, Space does not', async () => {
+    const { window, document, navigations } = await loadPage({ links });
+    await window.openList('social');
+    const card = document.querySelector('#ovGrid .card');
+    press(window, card, ' ');
+    assert.equal(navigations.length, 0);
+    press(window, card, 'Enter');
+    assert.equal(navigations.length, 1);
+  });
+
+  test('random picks are buttons that also answer Space', async () => {
+    const { window, document } = await loadPage({ links });
+    await window.analyzePick();
+    const card = document.querySelector('#ovGrid .card');
+    assert.equal(card.getAttribute('role'), 'button');
+    press(window, card, ' ');
+    assert.ok(document.getElementById('scanOverlay').classList.contains('show'));
+  });
+
+  test('the scan circle starts from the keyboard', async () => {
+    const { window, document } = await loadPage({ links, reducedMotion: true });
+    window.openScannerFromPick(window.eval('GAMES')[0]);
+    const visual = document.getElementById('visual');
+    assert.equal(visual.getAttribute('aria-label'), 'main.startScan');
+    press(window, visual, 'Enter');
+    assert.equal(document.getElementById('scanPct').textContent, 'Game g1');
+  });
+});
+
+describe('preferences', () => {
+  test('reduced motion reveals the pick without the sweep animation', async () => {
+    const { window, document } = await loadPage({ links: [game('a')], reducedMotion: true });
+    window.openScannerFromPick(window.eval('GAMES')[0]);
+    window.startScan();
+    assert.equal(document.getElementById('scanPct').textContent, 'Game a');
+    assert.equal(document.getElementById('sweep').style.transform, '');
+    assert.equal(window.eval('scanRunning'), false);
+  });
+
+  test('the mute toggle is remembered in localStorage', async () => {
+    const { window, document } = await loadPage();
+    const btn = document.getElementById('btnMute');
+    assert.equal(btn.getAttribute('aria-pressed'), 'false');
+    btn.click();
+    assert.equal(btn.getAttribute('aria-pressed'), 'true');
+    assert.equal(window.localStorage.getItem('tuatueng.muted'), '1');
+    btn.click();
+    assert.equal(window.localStorage.getItem('tuatueng.muted'), null);
+  });
+
+  test('a stored mute preference applies on load', async () => {
+    const { window, document } = await loadPage({ storage: { 'tuatueng.muted': '1' } });
+    assert.equal(document.getElementById('btnMute').getAttribute('aria-pressed'), 'true');
+    assert.equal(window.eval('muted'), true);
+  });
+});
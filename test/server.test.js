@@ -0,0 +1,347 @@
+// test/server.test.js
+// Integration tests: the app from server.js behind a real http server on a free port,
+// with its registry, analytics and logos in a temp directory.
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server');
+const { loadConfig } = require('../lib/config');
+
+const LINKS = [
+  { key: 'g1', label: 'Game One', badge: 'G1', category: 'game', url: 'https://game.example/play', enabled: true },
+  { key: 's1', label: 'Social One', badge: 'S1', category: 'social', url: 'https://social.example/page', enabled: true, forwardParams: ['ref'] },
+  { key: 'off', label: 'Disabled', badge: 'X', category: 'social', url: 'https://off.example/', enabled: false },
+  { key: 'once', label: 'One-time', badge: '1', category: 'social', url: 'https://once.example/', enabled: true, unlisted: true, maxUses: 1 }
+];
+
+// Starts an app with `env` on top of the temp paths; resolves to { base, app, close }.
+function startApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tuatueng-test-'));
+  fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify({ links: LINKS }));
+  const config = loadConfig({
+    baseDir: dir,
+    env: Object.assign({ COOKIE_SECRET: 'test-cookie-secret-0123456789', HEALTH_CHECK_INTERVAL_MIN: '0' }, env)
+  });
+  const app = createApp(config);
+  const server = http.createServer(app.handleRequest);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        base: 'http://127.0.0.1:' + server.address().port,
+        app,
+        close() {
+          app.stop();
+          server.closeAllConnections();
+          return new Promise(done => server.close(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+          }));
+        }
+      });
+    });
+  });
+}
+
+// fetch() normalizes paths, so malformed ones go through http.request.
+function rawGet(base, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get(base + pathname, res => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+}
+
+describe('portal', () => {
+  let srv;
+  before(async () => { srv = await startApp(); });
+  after(() => srv.close());
+
+  test('GET / renders the enabled links in the detected language', async () => {
+    const res = await fetch(srv.base + '/', { headers: { 'Accept-Language': 'en-US,en;q=0.9' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+    assert.equal(res.headers.get('content-language'), 'en');
+    const html = await res.text();
+    assert.match(html, /Game One/);
+    assert.match(html, /data-key="g1"/);
+    assert.doesNotMatch(html, /Disabled/);
+    assert.doesNotMatch(html, /game\.example/); // destinations stay on the server
+  });
+
+  test('?lang= switches language and sets the cookie', async () => {
+    const res = await fetch(srv.base + '/?lang=th');
+    assert.equal(res.headers.get('content-language'), 'th');
+    assert.match(res.headers.get('set-cookie'), /^lang=th/);
+  });
+
+  test('unknown paths are 404 and wrong methods 405', async () => {
+    assert.equal((await fetch(srv.base + '/nope')).status, 404);
+    const res = await fetch(srv.base + '/', { method: 'POST' });
+    assert.equal(res.status, 405);
+    assert.match(res.headers.get('allow'), /GET/);
+  });
+});
+
+describe('redirect /r/:key', () => {
+  let srv;
+  before(async () => { srv = await startApp(); });
+  after(() => srv.close());
+
+  test('302 to the target for an ungated link', async () => {
+    const res = await fetch(srv.base + '/r/s1', { redirect: 'manual' });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://social.example/page');
+  });
+
+  test('forwards only the allowed query parameters', async () => {
+    const res = await fetch(srv.base + '/r/s1?ref=abc&utm_source=x', { redirect: 'manual' });
+    assert.equal(res.headers.get('location'), 'https://social.example/page?ref=abc');
+  });
+
+  test('a trailing slash is accepted', async () => {
+    const res = await fetch(srv.base + '/r/s1/', { redirect: 'manual' });
+    assert.equal(res.status, 302);
+  });
+
+  test('200 age gate for a game link, then 302 after confirming', async () => {
+    const gate = await fetch(srv.base + '/r/g1', { redirect: 'manual' });
+    assert.equal(gate.status, 200);
+    assert.equal(gate.headers.get('cache-control'), 'no-store');
+    assert.match(await gate.text(), /<form[^>]+method="post"/i);
+
+    const answer = await fetch(srv.base + '/r/g1', {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Origin: srv.base },
+      body: 'answer=yes'
+    });
+    assert.equal(answer.status, 303);
+    assert.equal(answer.headers.get('location'), '/r/g1');
+    const cookie = answer.headers.get('set-cookie').split(';')[0];
+
+    const res = await fetch(srv.base + '/r/g1', { redirect: 'manual', headers: { Cookie: cookie } });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://game.example/play');
+  });
+
+  test('declining the age gate goes back to the portal', async () => {
+    const res = await fetch(srv.base + '/r/g1', {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Origin: srv.base },
+      body: 'answer=no'
+    });
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.get('location'), '/');
+    assert.equal(res.headers.get('set-cookie'), null);
+  });
+
+  test('age gate answers from other sites do not set the cookie', async () => {
+    for (const headers of [{ Origin: 'https://evil.example' }, { Referer: 'https://evil.example/page' }, { Origin: 'null' }, {}]) {
+      const res = await fetch(srv.base + '/r/g1?c=x', {
+        method: 'POST',
+        redirect: 'manual',
+        headers: Object.assign({ 'Content-Type': 'application/x-www-form-urlencoded' }, headers),
+        body: 'answer=yes'
+      });
+      assert.equal(res.status, 303, JSON.stringify(headers));
+      assert.equal(res.headers.get('location'), '/r/g1?c=x');
+      assert.equal(res.headers.get('set-cookie'), null);
+    }
+    const sameSite = await fetch(srv.base + '/r/g1', {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Referer: srv.base + '/r/g1' },
+      body: 'answer=yes'
+    });
+    assert.match(sameSite.headers.get('set-cookie'), /^age_ok=/);
+  });
+
+  test('400 without a key or with a malformed one', async () => {
+    assert.equal((await fetch(srv.base + '/r', { redirect: 'manual' })).status, 400);
+    assert.equal((await rawGet(srv.base, '/r/%E0%A4%A')).statusCode, 400);
+  });
+
+  test('404 for unknown and disabled keys', async () => {
+    assert.equal((await fetch(srv.base + '/r/missing', { redirect: 'manual' })).status, 404);
+    assert.equal((await fetch(srv.base + '/r/off', { redirect: 'manual' })).status, 404);
+  });
+
+  test('errors are JSON when the client asks for it', async () => {
+    const res = await fetch(srv.base + '/r/missing', { headers: { Accept: 'application/json' } });
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { error: 'not found' });
+  });
+
+  test('HEAD and link previews neither use up a limited link nor count as clicks', async () => {
+    const head = await fetch(srv.base + '/r/once', { method: 'HEAD', redirect: 'manual' });
+    assert.equal(head.status, 302);
+    const preview = await fetch(srv.base + '/r/once', { redirect: 'manual', headers: { 'User-Agent': 'TelegramBot (like TwitterBot)' } });
+    assert.equal(preview.status, 302);
+    const whatsapp = await fetch(srv.base + '/r/once', { redirect: 'manual', headers: { 'User-Agent': 'WhatsApp/2.23.20.0 A' } });
+    assert.equal(whatsapp.status, 302);
+    assert.equal(srv.app.links.get('once').uses, 0);
+
+    assert.equal((await fetch(srv.base + '/r/once', { redirect: 'manual' })).status, 302);
+    assert.equal(srv.app.links.get('once').uses, 1);
+    assert.equal((await fetch(srv.base + '/r/once', { redirect: 'manual' })).status, 410);
+
+    srv.app.clicks.flush();
+    const log = fs.readFileSync(path.join(srv.app.config.analyticsDir, 'clicks.ndjson'), 'utf8');
+    assert.equal(log.trim().split('\n').map(line => JSON.parse(line)).filter(e => e.key === 'once').length, 1);
+  });
+
+  test('clicks are recorded', async () => {
+    srv.app.clicks.flush();
+    const log = fs.readFileSync(path.join(srv.app.config.analyticsDir, 'clicks.ndjson'), 'utf8');
+    const events = log.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(events.some(e => e.key === 's1'));
+    assert.doesNotMatch(log, /127\.0\.0\.1/); // only the salted hash is stored
+  });
+});
+
+describe('rate limiting', () => {
+  let srv;
+  before(async () => { srv = await startApp({ RATE_LIMIT_REDIRECT: '2/60', RATE_LIMIT_PAGE: '3/60' }); });
+  after(() => srv.close());
+
+  test('redirects get 429 with Retry-After once the bucket is empty', async () => {
+    const first = await fetch(srv.base + '/r/s1', { redirect: 'manual' });
+    assert.equal(first.status, 302);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal((await fetch(srv.base + '/r/s1', { redirect: 'manual' })).status, 302);
+
+    const limited = await fetch(srv.base + '/r/s1', { redirect: 'manual' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(limited.headers.get('location'), null);
+  });
+
+  test('policies are separate buckets', async () => {
+    for (let i = 0; i < 3; i++) assert.equal((await fetch(srv.base + '/')).status, 200);
+    assert.equal((await fetch(srv.base + '/')).status, 429);
+  });
+
+  test('x-forwarded-for is ignored from untrusted peers', async () => {
+    const res = await fetch(srv.base + '/r/s1', { redirect: 'manual', headers: { 'X-Forwarded-For': '203.0.113.9' } });
+    assert.equal(res.status, 429);
+  });
+});
+
+describe('security headers', () => {
+  let srv;
+  before(async () => { srv = await startApp({ CSP: "default-src 'self'" }); });
+  after(() => srv.close());
+
+  const EXPECTED = {
+    'x-content-type-options': 'nosniff',
+    'x-frame-options': 'DENY',
+    'referrer-policy': 'no-referrer-when-downgrade',
+    'content-security-policy': "default-src 'self'"
+  };
+
+  for (const [name, pathname] of [['portal', '/'], ['redirect', '/r/s1'], ['age gate', '/r/g1'], ['static file', '/main.js'], ['error page', '/nope'], ['API', '/api/public/links']]) {
+    test(name + ' responses carry them', async () => {
+      const res = await fetch(srv.base + pathname, { redirect: 'manual' });
+      for (const [header, value] of Object.entries(EXPECTED)) {
+        assert.equal(res.headers.get(header), value, header + ' on ' + pathname);
+      }
+    });
+  }
+});
+
+describe('admin API', () => {
+  const BASIC = 'Basic ' + Buffer.from('admin:test-admin-password-0123').toString('base64');
+  let srv;
+  before(async () => { srv = await startApp({ ADMIN_PASSWORD: 'test-admin-password-0123' }); });
+  after(() => srv.close());
+
+  const admin = (pathname, options = {}) => fetch(srv.base + pathname, Object.assign({}, options, {
+    headers: Object.assign({ Authorization: BASIC }, options.headers)
+  }));
+
+  test('writes a cross-site form could send are refused', async () => {
+    for (const [method, pathname, type] of [
+      ['POST', '/api/links/s1/disable', 'text/plain'],
+      ['POST', '/api/links/s1/disable', 'application/x-www-form-urlencoded'],
+      ['PUT', '/api/links/s1/logo', 'multipart/form-data; boundary=x'],
+      ['DELETE', '/api/links/s1', undefined],
+      ['POST', '/api/health', 'text/plain']
+    ]) {
+      const res = await admin(pathname, { method, headers: type ? { 'Content-Type': type } : {} });
+      assert.equal(res.status, 403, method + ' ' + pathname);
+    }
+    assert.equal(srv.app.links.get('s1').enabled, true);
+  });
+
+  test('writes with JSON or X-Requested-With go through', async () => {
+    const off = await admin('/api/links/s1/disable', { method: 'POST', headers: { 'X-Requested-With': 'fetch' } });
+    assert.equal(off.status, 200);
+    assert.equal(srv.app.links.get('s1').enabled, false);
+    const on = await admin('/api/links/s1', { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: '{"enabled":true}' });
+    assert.equal(on.status, 200);
+    assert.equal(srv.app.links.get('s1').enabled, true);
+    const mixedCase = await admin('/api/links/s1', { method: 'PATCH', headers: { 'Content-Type': 'Application/JSON; charset=UTF-8' }, body: '{"label":"Social 1"}' });
+    assert.equal(mixedCase.status, 200);
+    assert.equal(srv.app.links.get('s1').label, 'Social 1');
+  });
+
+  test('oversized bodies get a 413 instead of a reset connection', async () => {
+    const res = await admin('/api/links', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key: 'big', label: 'x'.repeat(200 * 1024) })
+    });
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.get('connection'), 'close');
+    assert.deepEqual(await res.json(), { error: 'request body too large' });
+  });
+
+  test('JSON bodies that are not objects are a 400', async () => {
+    for (const [method, pathname] of [['PATCH', '/api/links/g1'], ['PUT', '/api/links'], ['POST', '/api/links'], ['POST', '/api/short']]) {
+      for (const body of ['null', '[]', '42', '"x"']) {
+        const res = await admin(pathname, { method, headers: { 'Content-Type': 'application/json' }, body });
+        assert.equal(res.status, 400, method + ' ' + pathname + ' ' + body);
+        assert.deepEqual(await res.json(), { error: 'body must be an object' });
+      }
+    }
+  });
+
+  test('CSV exports do not turn visitor campaign names into formulas', async () => {
+    await fetch(srv.base + '/r/s1?c=' + encodeURIComponent('=HYPERLINK("http://evil.example")'), { redirect: 'manual' });
+    srv.app.clicks.flush();
+    const res = await admin('/api/stats?format=csv&view=campaigns');
+    assert.equal(res.status, 200);
+    const rows = (await res.text()).trim().split('\n');
+    assert.equal(rows[0], 'campaign,clicks,uniques');
+    assert.equal(rows[1], '"\'=HYPERLINK(""http://evil.example"")",1,1');
+  });
+
+  test('short links reject a ttlMinutes past one year', async () => {
+    for (const ttlMinutes of [1e20, 366 * 24 * 60 + 1, 0, -5]) {
+      const res = await admin('/api/short', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: 'https://promo.example/', ttlMinutes })
+      });
+      assert.equal(res.status, 400, String(ttlMinutes));
+      assert.match((await res.json()).error, /^ttlMinutes must be/);
+    }
+    const ok = await admin('/api/short', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://promo.example/', ttlMinutes: 60 })
+    });
+    assert.equal(ok.status, 201);
+  });
+
+  test('reads need no extra header', async () => {
+    assert.equal((await admin('/api/links')).status, 200);
+  });
+});